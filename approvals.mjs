@@ -0,0 +1,142 @@
+/**
+ * @fileoverview The approval queue for normal videos found by unattended runs.
+ * Runs that can't prompt (the scheduler, or runs started from the dashboard)
+ * record normal videos as 'pending' with a 'pending' job instead of asking.
+ * Approving one queues its job, so it is downloaded on the next run; rejecting
+ * one marks it as skipped so it is never offered again.
+ */
+
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+
+/**
+ * Returns the videos waiting for approval, newest first.
+ * @param {object} db - The database instance.
+ * @returns {Promise<object[]>} The videos with their channel and duration.
+ */
+export async function listPendingVideos(db) {
+  return db.all(`
+    SELECT v.id, v.title, v.upload_date, v.channel_id, c.name AS channel_name, c.url AS channel_url,
+      json_extract(j.video_info, '$.duration') AS duration
+    FROM videos v
+    JOIN jobs j ON j.video_id = v.id AND j.state = 'pending'
+    LEFT JOIN channels c ON c.id = v.channel_id
+    WHERE v.status = 'pending'
+    ORDER BY v.upload_date DESC, v.id
+  `);
+}
+
+// Resolves 'all' or a list of video ids to the pending ones among them.
+async function resolvePendingIds(db, ids) {
+  const pending = (await listPendingVideos(db)).map((video) => video.id);
+  return ids.includes('all') ? pending : ids.filter((id) => pending.includes(id));
+}
+
+/**
+ * Queues pending videos for download on the next run.
+ * @param {object} db - The database instance.
+ * @param {string[]} ids - Video ids, or ['all'].
+ * @returns {Promise<string[]>} The ids that were approved.
+ */
+export async function approveVideos(db, ids) {
+  const approved = await resolvePendingIds(db, ids);
+  for (const id of approved) {
+    await db.run("UPDATE jobs SET state = 'queued', updated_at = CURRENT_TIMESTAMP WHERE video_id = ? AND state = 'pending'", id);
+    await db.run("UPDATE videos SET status = 'queued' WHERE id = ?", id);
+  }
+  return approved;
+}
+
+/**
+ * Declines pending videos so they are never offered again.
+ * @param {object} db - The database instance.
+ * @param {string[]} ids - Video ids, or ['all'].
+ * @returns {Promise<string[]>} The ids that were rejected.
+ */
+export async function rejectVideos(db, ids) {
+  const rejected = await resolvePendingIds(db, ids);
+  for (const id of rejected) {
+    await db.run("DELETE FROM jobs WHERE video_id = ? AND state = 'pending'", id);
+    await db.run("UPDATE videos SET status = 'skipped' WHERE id = ?", id);
+  }
+  return rejected;
+}
+
+function formatVideo(video) {
+  const duration = video.duration ? ` ${Math.floor(video.duration / 60)}m ${Math.round(video.duration % 60)}s` : '';
+  return `${video.title} ${chalk.grey(`(${video.id}, ${video.channel_name || video.channel_url || 'unknown channel'},${duration} ${video.upload_date})`)}`;
+}
+
+/**
+ * Lets the user tick the pending videos to download, then optionally rejects the rest.
+ * @param {object} db - The database instance.
+ * @param {object[]} pending - The pending videos.
+ */
+async function pickPendingVideos(db, pending) {
+  const { picked } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'picked',
+      message: 'Which videos would you like to download?',
+      prefix: '✅',
+      pageSize: 15,
+      choices: pending.map((video) => ({ name: ` ${formatVideo(video)}`, value: video.id })),
+    },
+  ]);
+  const approved = await approveVideos(db, picked);
+  if (approved.length > 0) {
+    console.log(chalk.green(`✅ Approved ${approved.length} video(s). They will be downloaded on the next run.`));
+  }
+
+  const rest = pending.filter((video) => !picked.includes(video.id)).map((video) => video.id);
+  if (rest.length === 0) return;
+  const { rejectRest } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'rejectRest',
+      message: `Reject the other ${rest.length} video(s)? Otherwise they stay in the approval queue.`,
+      default: false,
+    },
+  ]);
+  if (rejectRest) {
+    await rejectVideos(db, rest);
+    console.log(chalk.grey(`Rejected ${rest.length} video(s).`));
+  }
+}
+
+/**
+ * Entry point for `shortstash approve [list | all | <video id...> | reject <all|video id...>]`.
+ * Without arguments the pending videos can be picked interactively.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The positional arguments after `approve`.
+ */
+export async function runApproveCommand(db, args) {
+  const [action, ...rest] = args;
+
+  if (action === 'reject') {
+    if (rest.length === 0) throw new Error('Please provide the video ids to reject, or all.');
+    const rejected = await rejectVideos(db, rest);
+    if (rejected.length === 0) throw new Error('None of these videos are waiting for approval.');
+    console.log(chalk.green(`Rejected ${rejected.length} video(s).`));
+    return;
+  }
+
+  if (action && action !== 'list') {
+    const approved = await approveVideos(db, args);
+    if (approved.length === 0) throw new Error('None of these videos are waiting for approval.');
+    console.log(chalk.green(`✅ Approved ${approved.length} video(s). They will be downloaded on the next run.`));
+    return;
+  }
+
+  const pending = await listPendingVideos(db);
+  if (pending.length === 0) {
+    console.log(chalk.green('No videos are waiting for approval.'));
+    return;
+  }
+  if (action === 'list' || !process.stdin.isTTY) {
+    console.log(chalk.yellow(`${pending.length} video(s) waiting for approval:`));
+    pending.forEach((video) => console.log(`  ${formatVideo(video)}`));
+    return;
+  }
+  await pickPendingVideos(db, pending);
+}
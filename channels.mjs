@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Channel management backed by the `channels` table.
+ * The database is the source of truth; CHANNELS_TO_CHECK in config.mjs is only
+ * used to seed the table the first time ShortStash runs.
+ */
+
+import chalk from 'chalk';
+import cron from 'node-cron';
+
+import {
+  AUDIO_LANGUAGES,
+  BURN_SUBTITLES,
+  CHANNELS_TO_CHECK,
+  DOWNLOAD_AFTER_DATE,
+  FILTER_RULES,
+  RETENTION_SETTINGS,
+  VIDEOS_TO_INSPECT,
+  TARGET_FORMAT,
+} from './config.mjs';
+import { FORMAT_PRESETS, toFormatList } from './formats.mjs';
+import { parseChannelRules } from './filters.mjs';
+
+// Settings that can be overridden per channel. Each one is stored in a column of
+// the channels table and validated before it is saved.
+export const CHANNEL_SETTINGS = {
+  target_format: {
+    description: `format preset, or comma separated presets for several renditions (${Object.keys(FORMAT_PRESETS).join(', ')})`,
+    parse: (value) => {
+      const formats = toFormatList(value);
+      if (formats.length === 0) throw new Error('Please provide at least one format preset.');
+      const unknown = formats.find((name) => !FORMAT_PRESETS[name]);
+      if (unknown) throw new Error(`Unknown format preset: ${unknown}`);
+      return formats.join(',');
+    },
+  },
+  download_after_date: {
+    description: 'cutoff date in YYYYMMDD format',
+    parse: (value) => {
+      if (!/^\d{8}$/.test(value)) throw new Error('The date must be in YYYYMMDD format.');
+      return value;
+    },
+  },
+  videos_to_inspect: {
+    description: 'number of videos fetched per page',
+    parse: (value) => {
+      const count = parseInt(value);
+      if (isNaN(count) || count < 1) throw new Error('The inspect depth must be a positive number.');
+      return count;
+    },
+  },
+  normal_video_mode: {
+    description: 'what to do with normal videos (ask, skip)',
+    parse: (value) => {
+      if (!['ask', 'skip'].includes(value)) throw new Error('The normal video mode must be ask or skip.');
+      return value;
+    },
+  },
+  filter_rules: {
+    description: 'JSON list of filter rules, checked before FILTER_RULES',
+    parse: (value) => JSON.stringify(parseChannelRules(value)),
+  },
+  schedule: {
+    description: 'cron expression for the scheduler, e.g. "0 */6 * * *" (restart to apply)',
+    parse: (value) => {
+      if (!cron.validate(value)) throw new Error(`Invalid cron expression: ${value}`);
+      return value.trim();
+    },
+  },
+  keep_latest: {
+    description: 'number of newest videos to keep, 0 for all',
+    parse: (value) => parseRetentionLimit(value, 'keep_latest'),
+  },
+  max_age_days: {
+    description: 'delete videos uploaded more than this many days ago, 0 to keep them',
+    parse: (value) => parseRetentionLimit(value, 'max_age_days'),
+  },
+  max_size_mb: {
+    description: 'size cap of the channel in MB on top of the archive cap, oldest videos are deleted first, 0 for none',
+    parse: (value) => parseRetentionLimit(value, 'max_size_mb'),
+  },
+  audio_languages: {
+    description: 'comma separated audio languages in order of preference, e.g. "es,en"',
+    parse: (value) => {
+      const languages = toLanguageList(value);
+      if (languages.length === 0) throw new Error('Please provide at least one language.');
+      return languages.map(checkLanguage).join(',');
+    },
+  },
+  burn_subtitles: {
+    description: 'language of the subtitles burned into video renditions, or off',
+    parse: (value) => (value === 'off' ? value : checkLanguage(value.trim())),
+  },
+};
+
+function parseRetentionLimit(value, key) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) throw new Error(`${key} must be a whole number, 0 turns it off.`);
+  return limit;
+}
+
+// Language codes as YouTube uses them, e.g. 'en', 'pt-BR' or 'es-419'.
+function checkLanguage(language) {
+  if (!/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(language)) {
+    throw new Error(`Not a language code: ${language}. Use codes such as en, es or ja.`);
+  }
+  return language;
+}
+
+function toLanguageList(value) {
+  const languages = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return [...new Set(languages.map((language) => String(language).trim()).filter(Boolean))];
+}
+
+/**
+ * Checks AUDIO_LANGUAGES and BURN_SUBTITLES at startup.
+ * @throws {Error} Naming the setting to fix.
+ */
+export function validateLanguageSettings() {
+  if (!Array.isArray(AUDIO_LANGUAGES)) throw new Error("AUDIO_LANGUAGES must be a list, e.g. ['es', 'en'].");
+  try {
+    AUDIO_LANGUAGES.forEach(checkLanguage);
+    if (BURN_SUBTITLES !== null) checkLanguage(BURN_SUBTITLES);
+  } catch (error) {
+    throw new Error(`Invalid language settings: ${error.message}`);
+  }
+}
+
+// Tabs that processChannel() appends itself, so they are stripped on input.
+const CHANNEL_TABS = ['videos', 'shorts', 'streams', 'featured', 'playlists'];
+
+/**
+ * Normalizes a channel URL so the same channel is never stored twice.
+ * @param {string} url - The URL as typed by the user.
+ * @returns {string} The normalized URL, e.g. https://www.youtube.com/@user
+ */
+export function normalizeChannelUrl(url) {
+  let normalized = url.trim();
+  if (!/^https?:\/\//i.test(normalized)) {
+    normalized = `https://${normalized}`;
+  }
+  normalized = normalized.replace(/\/+$/, '');
+
+  const tabPattern = new RegExp(`/(${CHANNEL_TABS.join('|')})$`, 'i');
+  normalized = normalized.replace(tabPattern, '');
+
+  try {
+    new URL(normalized);
+  } catch {
+    throw new Error(`Not a valid channel URL: ${url}`);
+  }
+  return normalized;
+}
+
+/**
+ * Resolves the effective settings for a channel: its own override first, then the
+ * global default from config.mjs or the settings table.
+ * @param {object} db - The database instance.
+ * @param {object} channel - The channel row.
+ * @returns {Promise<{targetFormats: string[], downloadAfterDate: string, videosToInspect: number, normalVideoMode: string, filterRules: object[], retention: object, languages: object}>}
+ */
+export async function resolveChannelSettings(db, channel) {
+  const globalMode = await db.get("SELECT value FROM settings WHERE key = 'normal_video_mode'");
+  return {
+    targetFormats: toFormatList(channel.target_format ?? TARGET_FORMAT),
+    downloadAfterDate: channel.download_after_date ?? DOWNLOAD_AFTER_DATE,
+    videosToInspect: channel.videos_to_inspect ?? VIDEOS_TO_INSPECT,
+    normalVideoMode: channel.normal_video_mode ?? globalMode?.value,
+    filterRules: [...(channel.filter_rules ? JSON.parse(channel.filter_rules) : []), ...FILTER_RULES],
+    // null or 0 means no limit. RETENTION_SETTINGS.max_size_mb is a cap on the
+    // whole archive, so it is not a default for the channel's own cap.
+    retention: {
+      keepLatest: channel.keep_latest ?? RETENTION_SETTINGS.keep_latest,
+      maxAgeDays: channel.max_age_days ?? RETENTION_SETTINGS.max_age_days,
+      maxSizeMb: channel.max_size_mb,
+    },
+    languages: resolveLanguages(channel),
+  };
+}
+
+/**
+ * Resolves the audio and subtitle languages of a channel.
+ * @param {object|null} channel - The channel row, or null for videos without a channel.
+ * @returns {{audio: string[], burnSubtitles: string|null}}
+ */
+export function resolveLanguages(channel) {
+  const burnSubtitles = channel?.burn_subtitles ?? BURN_SUBTITLES;
+  return {
+    audio: toLanguageList(channel?.audio_languages ?? AUDIO_LANGUAGES),
+    burnSubtitles: burnSubtitles === 'off' ? null : burnSubtitles,
+  };
+}
+
+/**
+ * Makes sure every per-channel format override names an existing preset, e.g.
+ * after a preset was removed from the presets file.
+ * @param {object} db - The database instance.
+ * @throws {Error} Naming the channels to fix.
+ */
+export async function checkChannelFormats(db) {
+  const channels = await db.all('SELECT id, url, target_format FROM channels WHERE target_format IS NOT NULL');
+  const invalid = channels.filter((channel) => toFormatList(channel.target_format).some((name) => !FORMAT_PRESETS[name]));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown format preset on channel(s):\n  ${invalid.map((channel) =>
+      `#${channel.id} ${channel.url} uses "${channel.target_format}", fix it with \`channels set ${channel.id} target_format <preset>\` or \`channels unset ${channel.id} target_format\``
+    ).join('\n  ')}`);
+  }
+}
+
+/**
+ * Seeds the channels table from config.mjs. This only happens once, so channels
+ * removed with `channels remove` are not re-added on the next start.
+ * @param {object} db - The database instance.
+ */
+export async function seedChannelsFromConfig(db) {
+  const setting = await db.get("SELECT value FROM settings WHERE key = 'channels_seeded'");
+  if (setting?.value === '1') return;
+
+  for (const url of CHANNELS_TO_CHECK) {
+    await db.run('INSERT OR IGNORE INTO channels(url) VALUES(?)', normalizeChannelUrl(url));
+  }
+  await db.run("INSERT OR REPLACE INTO settings (key, value) VALUES ('channels_seeded', '1')");
+}
+
+/**
+ * Looks up a channel by its numeric id or its URL.
+ * @param {object} db - The database instance.
+ * @param {string} ref - The id or URL given on the command line.
+ * @returns {Promise<object>} The channel row.
+ */
+export async function findChannel(db, ref) {
+  if (!ref) throw new Error('Please provide a channel id or URL.');
+
+  const channel = /^\d+$/.test(ref)
+    ? await db.get('SELECT * FROM channels WHERE id = ?', Number(ref))
+    : await db.get('SELECT * FROM channels WHERE url = ?', normalizeChannelUrl(ref));
+
+  if (!channel) throw new Error(`No channel found for: ${ref}`);
+  return channel;
+}
+
+/**
+ * Adds a channel, or reactivates it if it was paused.
+ * @param {object} db - The database instance.
+ * @param {string} url - The channel URL.
+ */
+export async function addChannel(db, url) {
+  if (!url) throw new Error('Please provide a channel URL.');
+  const normalized = normalizeChannelUrl(url);
+
+  const existing = await db.get('SELECT * FROM channels WHERE url = ?', normalized);
+  if (existing) {
+    await db.run('UPDATE channels SET is_active = 1 WHERE id = ?', existing.id);
+    console.log(chalk.yellow(`Channel already tracked (#${existing.id}), marked as active: ${normalized}`));
+    return;
+  }
+
+  const { lastID } = await db.run('INSERT INTO channels(url) VALUES(?)', normalized);
+  console.log(chalk.green(`✅ Added channel #${lastID}: ${normalized}`));
+}
+
+/**
+ * Prints every tracked channel with its cache state and video count.
+ * @param {object} db - The database instance.
+ */
+export async function listChannels(db) {
+  const channels = await db.all(`
+    SELECT c.*, COUNT(CASE WHEN v.status = 'downloaded' THEN 1 END) AS video_count
+    FROM channels c
+    LEFT JOIN videos v ON v.channel_id = c.id
+    GROUP BY c.id
+    ORDER BY c.id
+  `);
+
+  if (channels.length === 0) {
+    console.log(chalk.yellow('No channels tracked yet. Add one with: shortstash channels add <url>'));
+    return;
+  }
+
+  for (const channel of channels) {
+    const state = channel.is_active ? chalk.green('active') : chalk.grey('paused');
+    const name = channel.name ? ` ${chalk.bold(channel.name)}` : '';
+    console.log(`${chalk.cyan(`#${channel.id}`)}${name} ${channel.url} [${state}]`);
+    console.log(chalk.grey(`    videos: ${channel.video_count} | last video: ${channel.last_video_id || '-'}`));
+
+    const overrides = Object.keys(CHANNEL_SETTINGS).filter((key) => channel[key] !== null);
+    if (overrides.length > 0) {
+      console.log(chalk.grey(`    overrides: ${overrides.map((key) => `${key}=${channel[key]}`).join(', ')}`));
+    }
+  }
+}
+
+/**
+ * Stores a per-channel override, or clears it when no value is given.
+ * @param {object} db - The database instance.
+ * @param {string} ref - The channel id or URL.
+ * @param {string} key - One of the CHANNEL_SETTINGS keys.
+ * @param {string} [value] - The new value. Omit it to fall back to the global default.
+ */
+export async function setChannelSetting(db, ref, key, value) {
+  const setting = CHANNEL_SETTINGS[key];
+  if (!setting) {
+    const available = Object.entries(CHANNEL_SETTINGS).map(([name, { description }]) => `${name} (${description})`);
+    throw new Error(`Unknown channel setting: ${key}. Available: ${available.join(', ')}`);
+  }
+
+  const channel = await findChannel(db, ref);
+  const parsed = value === undefined ? null : setting.parse(value);
+  // The key is checked against CHANNEL_SETTINGS above, so it is safe to use as a column name.
+  await db.run(`UPDATE channels SET ${key} = ? WHERE id = ?`, parsed, channel.id);
+
+  if (parsed === null) {
+    console.log(chalk.green(`Channel #${channel.id} now uses the global ${key}.`));
+  } else {
+    console.log(chalk.green(`Channel #${channel.id} ${key} set to ${parsed}.`));
+  }
+}
+
+/**
+ * Pauses or resumes a channel without touching its data.
+ * @param {object} db - The database instance.
+ * @param {string} ref - The channel id or URL.
+ * @param {boolean} active - Whether the channel should be checked on runs.
+ */
+export async function setChannelActive(db, ref, active) {
+  const channel = await findChannel(db, ref);
+  await db.run('UPDATE channels SET is_active = ? WHERE id = ?', active ? 1 : 0, channel.id);
+  console.log(chalk.green(`Channel #${channel.id} ${active ? 'resumed' : 'paused'}: ${channel.url}`));
+}
+
+/**
+ * Stops tracking a channel. Downloaded videos stay in the videos table so they
+ * are never fetched again, they are just no longer linked to the channel.
+ * Downloads that have not finished yet are cancelled.
+ * @param {object} db - The database instance.
+ * @param {string} ref - The channel id or URL.
+ */
+export async function removeChannel(db, ref) {
+  const channel = await findChannel(db, ref);
+  await db.run("DELETE FROM jobs WHERE channel_id = ? AND state != 'done'", channel.id);
+  await db.run("DELETE FROM videos WHERE channel_id = ? AND status IN ('queued', 'pending')", channel.id);
+  await db.run('UPDATE jobs SET channel_id = NULL WHERE channel_id = ?', channel.id);
+  await db.run('UPDATE videos SET channel_id = NULL WHERE channel_id = ?', channel.id);
+  await db.run('DELETE FROM channels WHERE id = ?', channel.id);
+  console.log(chalk.green(`Removed channel #${channel.id}: ${channel.url}`));
+}
+
+/**
+ * Entry point for `shortstash channels <action> [url|id]`.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The positional arguments after `channels`.
+ */
+export async function runChannelsCommand(db, args) {
+  const [action = 'list', ref, key, value] = args;
+
+  switch (action) {
+    case 'list':
+      return listChannels(db);
+    case 'add':
+      return addChannel(db, ref);
+    case 'pause':
+      return setChannelActive(db, ref, false);
+    case 'resume':
+      return setChannelActive(db, ref, true);
+    case 'remove':
+      return removeChannel(db, ref);
+    case 'set':
+      if (value === undefined) throw new Error('Usage: channels set <id|url> <setting> <value>');
+      return setChannelSetting(db, ref, key, value);
+    case 'unset':
+      return setChannelSetting(db, ref, key);
+    default:
+      throw new Error(`Unknown channels action: ${action}. Use list, add, pause, resume, remove, set or unset.`);
+  }
+}
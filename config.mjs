@@ -2,7 +2,8 @@
  * @fileoverview Configuration settings for the YouTube Shorts Downloader.
  */
 
-// A list of YouTube channel URLs to track.
+// A list of YouTube channel URLs used to seed the database on the first run.
+// After that, manage channels with `shortstash channels add|pause|resume|remove <url>`.
 export const CHANNELS_TO_CHECK = [
  // 'PLACE_CHANNES_HERE(e.g; www.youtube.com/@user, dont include the trailing slash "/videos"),
  'https://www.youtube.com/@theplantslant2431', 'https://www.youtube.com/@DrewTalbert', 'https://www.youtube.com/@AWorldAccordingToAI'
@@ -15,19 +16,171 @@ export const BROWSER = 'opera';
 // The date to start searching from, in YYYYMMDD format.
 export const DOWNLOAD_AFTER_DATE = '20250701';
 
-// The number of the most recent videos to inspect on each channel.
+// How many videos to fetch per request when checking a channel tab. Pages are
+// fetched until a video that is already in the database is found.
 export const VIDEOS_TO_INSPECT = 5;
 
-// Set to true to run automatically twice a day, or false to run only once.
-export const ENABLE_SCHEDULER = true; // true by default, runs 8AM and 8PM daily. 
+// Hard cap on how many videos are inspected per tab in one run, e.g. on the
+// first run of a channel with a long history.
+export const MAX_VIDEOS_TO_INSPECT = 100;
 
-// The target output format. Options: 'mp4', 'mp3', 'amv'
+// Where the database and the downloaded files are kept. Relative paths, here and
+// for PRESETS_FILE and LOG_SETTINGS.file, are resolved against the ShortStash
+// folder, so it works the same from any working directory. Both can also be set
+// with the SHORTSTASH_DB and SHORTSTASH_OUTPUT_FOLDER environment variables or the
+// --db and --output-folder flags, relative to the working directory.
+export const DATABASE_FILE = './shortstash.sqlite';
+export const OUTPUT_FOLDER = '.';
+
+// Set to true to run automatically on SCHEDULE, or false to run only once.
+export const ENABLE_SCHEDULER = true;
+
+// When the scheduler checks the channels, as a cron expression (minute hour day month weekday).
+// The default runs at 8 AM and 8 PM daily. Channels can have their own schedule:
+// `shortstash channels set <id|url> schedule '0 */6 * * *'`
+// A check that was missed while ShortStash was not running is made up on the next start.
+export const SCHEDULE = '0 8,20 * * *';
+
+// What happens to each new video: 'download' it, 'ask' (offer it according to the
+// normal video mode), or 'skip' it. The first rule whose conditions all match wins,
+// videos that match no rule are treated as 'ask'. Channels can have their own rules,
+// checked before these: `shortstash channels set <id|url> filter_rules '<json>'`.
+// See filters.mjs for every available condition.
+export const FILTER_RULES = [
+  // Shorts: under about 3 minutes and vertical.
+  { name: 'shorts', match: { max_duration: 180, orientation: 'vertical' }, action: 'download' },
+  // { name: 'no streams', match: { live: true }, action: 'skip' },
+  // { name: 'no sponsored', match: { title_includes: '#ad|sponsored' }, action: 'skip' },
+];
+
+// How many things may run at the same time. Channels and videos are processed
+// side by side, these limits keep the number of yt-dlp and ffmpeg processes in check.
+export const CONCURRENCY = {
+  // yt-dlp requests that list a channel tab.
+  metadata: 3,
+  // Videos being downloaded (each one fetches its video and audio stream together).
+  downloads: 2,
+  // ffmpeg conversions. These are CPU heavy, so keep this low on small machines.
+  transcodes: 1,
+};
+
+// Optional built-in web dashboard and JSON API, for running headless on a server.
+// Use host '0.0.0.0' to make it reachable from other devices on your network.
+export const SERVER_SETTINGS = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 8080,
+};
+
+// Podcast feeds (RSS 2.0 with iTunes tags). Set enabled to true to write them after
+// every run: a feed.xml in each channel folder plus a combined one in the output
+// folder. base_url is where podcast apps can reach the output folder, e.g. the
+// dashboard's /files path. Only mp3, m4a and mp4 files are added, as podcast apps
+// can't play the others.
+export const FEED_SETTINGS = {
+  enabled: false,
+  base_url: 'http://127.0.0.1:8080/files',
+  title: 'ShortStash',
+  language: 'en',
+  category: 'Entertainment',
+  max_items: 100,
+};
+
+// `shortstash sync <mountpoint>` copies the newest downloads into this folder on
+// a portable player, up to max_size_mb. Older files that no longer fit are removed
+// from the player, and latest.m3u lists the newest latest_count files.
+export const PLAYER_SYNC_SETTINGS = {
+  folder: 'ShortStash',
+  max_size_mb: 3500,
+  latest_count: 50,
+};
+
+// What is deleted at the end of every run. keep_latest keeps only the newest
+// videos of each channel, max_age_days deletes videos uploaded longer ago, and
+// max_size_mb caps the whole archive, deleting the oldest videos first. null
+// turns a rule off. Channels can override keep_latest and max_age_days, where 0
+// turns the rule off, and have a max_size_mb cap of their own (`channels set`).
+// Deleted videos stay in the database as 'pruned', so they are never downloaded
+// again. Preview with `shortstash prune --dry-run`.
+export const RETENTION_SETTINGS = {
+  keep_latest: null,
+  max_age_days: null,
+  max_size_mb: null,
+};
+
+// Failed downloads are retried on later runs, waiting twice as long after each
+// failed attempt. After max_attempts the job stays failed until `shortstash jobs retry`.
+export const JOB_RETRY_SETTINGS = {
+  max_attempts: 5,
+  base_delay_minutes: 30,
+};
+
+// Every run is recorded in the database, see `shortstash history`. With
+// --log-format json its events are also appended to file as one JSON object per
+// line. The file is rotated once it reaches max_size_mb, keeping max_files old
+// logs (shortstash.log.1 is the newest).
+export const LOG_SETTINGS = {
+  file: './logs/shortstash.log',
+  max_size_mb: 10,
+  max_files: 5,
+};
+
+// Outgoing notifications, e.g. to hear about new downloads or a channel that
+// keeps failing because the browser cookies expired. A hook with a url gets each
+// event POSTed as JSON, a hook with a command runs it with the JSON on stdin and
+// SHORTSTASH_EVENT and SHORTSTASH_MESSAGE set. Hooks get channel_fetch_failed,
+// video_downloaded, video_failed and run_finished unless they list their own
+// events (run_started and channel_checked are available as well).
+export const HOOKS = [
+  // { url: 'https://example.com/shortstash-webhook' },
+  // { url: 'https://example.com/alerts', events: ['channel_fetch_failed', 'video_failed'], headers: { Authorization: 'Bearer <token>' } },
+  // { command: 'notify-send ShortStash "$SHORTSTASH_MESSAGE"', events: ['video_downloaded'] },
+];
+
+// A hook that fails or takes longer than timeout_seconds is tried again up to
+// `retries` times, retry_delay_seconds apart.
+export const HOOK_SETTINGS = {
+  timeout_seconds: 10,
+  retries: 3,
+  retry_delay_seconds: 5,
+};
+
+// The target output format, the name of a preset from formats.mjs or PRESETS_FILE.
+// Built-in options: 'amv', 'avi_xvid', 'mp3_cbr', 'mp4', 'mkv', 'webm'
+// Use a list, e.g. ['amv', 'mp4'], to make several renditions from one download.
+// The first one is the file synced to players.
 export const TARGET_FORMAT = 'amv';
 
-// Custom video processing settings.
+// Where each file is saved, relative to the output folder. Available tokens:
+// {channel}, {title}, {id}, {upload_date} (YYYYMMDD), {year}, {month}, {day},
+// {preset} and {ext}. It must end with {ext}, e.g. '{channel}/{upload_date} {title}.{ext}'.
+export const OUTPUT_TEMPLATE = '{channel}/{title}.{ext}';
+
+// Keep the downloaded video and audio streams in a .sources folder inside each
+// channel folder. Renditions added later (`shortstash render`) are then made from
+// these instead of downloading the video again. Uses a lot of disk space.
+export const KEEP_SOURCE_FILES = false;
+
+// Optional JSON file with your own format presets, merged over the built-in ones.
+// See the "Custom Format Presets" section of the README for the format.
+export const PRESETS_FILE = './presets.json';
+
+// Custom video processing settings, used by presets that set scale or frame_rate to true.
 export const VIDEO_SETTINGS = {
   // Set the output resolution (width:height).
   scale: '128:128',
   // Set the output frame rate.
   frame_rate: '21',
-};
\ No newline at end of file
+};
+
+// The audio languages to download, in order of preference: a video gets the first
+// one it has, or its default audio if it has none of them. Use the codes YouTube
+// uses, e.g. 'en', 'es' or 'ja'; 'es' also matches regional ones such as 'es-419'.
+// Can be set per channel with `channels set <id> audio_languages es,en`.
+export const AUDIO_LANGUAGES = ['en'];
+
+// The language of the subtitles to burn into video renditions, for players that
+// cannot show subtitle tracks, e.g. 'es'. Auto-generated subtitles are used when
+// there are no others. null to turn it off; per channel with
+// `channels set <id> burn_subtitles <language|off>`.
+export const BURN_SUBTITLES = null;
\ No newline at end of file
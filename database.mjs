@@ -1,44 +1,335 @@
+/**
+ * @fileoverview The SQLite database and its schema. The schema is versioned:
+ * MIGRATIONS lists every change in order and the schema_version table records
+ * how many of them were applied. Missing ones run on startup, each in its own
+ * transaction, after a backup of the database has been made.
+ */
+
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
 import chalk from 'chalk';
 
+import { normalizeChannelUrl } from './channels.mjs';
+import { DATABASE_PATH } from './paths.mjs';
+
+// The schema changes, in order: running MIGRATIONS[n - 1] brings the database to
+// version n. Never change a released migration, add a new one instead.
+const MIGRATIONS = [
+  {
+    description: 'initial schema',
+    // Databases from before the schema was versioned already have these tables.
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS channels (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          url TEXT NOT NULL UNIQUE,
+          last_video_id TEXT,
+          is_active INTEGER DEFAULT 1
+        );
+
+        CREATE TABLE IF NOT EXISTS videos (
+          id TEXT PRIMARY KEY,
+          title TEXT NOT NULL,
+          channel_id INTEGER,
+          upload_date TEXT,
+          downloaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (channel_id) REFERENCES channels (id)
+        );
+
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+
+        -- Set a default value so we don't have to check for nulls
+        INSERT OR IGNORE INTO settings (key, value) VALUES ('normal_video_mode', 'prompt');
+      `);
+    },
+  },
+  {
+    description: 'per-channel overrides',
+    up: async (db) => {
+      await db.exec(`
+        -- NULL means "use the global default".
+        ALTER TABLE channels ADD COLUMN target_format TEXT;
+        ALTER TABLE channels ADD COLUMN download_after_date TEXT;
+        ALTER TABLE channels ADD COLUMN videos_to_inspect INTEGER;
+        ALTER TABLE channels ADD COLUMN normal_video_mode TEXT;
+      `);
+    },
+  },
+  {
+    description: 'video status',
+    up: async (db) => {
+      await db.exec(`
+        -- 'queued' while its download job runs, then 'downloaded' or 'failed'.
+        -- Normal videos that were declined are 'skipped'.
+        ALTER TABLE videos ADD COLUMN status TEXT NOT NULL DEFAULT 'downloaded';
+      `);
+    },
+  },
+  {
+    description: 'download job queue',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          video_id TEXT NOT NULL UNIQUE,
+          channel_id INTEGER,
+          target_format TEXT NOT NULL,
+          video_info TEXT NOT NULL,
+          state TEXT NOT NULL DEFAULT 'queued',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          next_attempt_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (channel_id) REFERENCES channels (id)
+        );
+      `);
+    },
+  },
+  {
+    description: 'channel names',
+    up: async (db) => {
+      await db.exec(`
+        -- The channel's display name, which is also the name of its output folder.
+        ALTER TABLE channels ADD COLUMN name TEXT;
+      `);
+    },
+  },
+  {
+    description: 'video file paths',
+    up: async (db) => {
+      await db.exec(`
+        -- The main (first) rendition, relative to the output folder.
+        ALTER TABLE videos ADD COLUMN file_path TEXT;
+      `);
+    },
+  },
+  {
+    description: 'files synced to players',
+    up: async (db) => {
+      await db.exec(`
+        -- Files copied to portable players by the sync command, per mountpoint.
+        CREATE TABLE synced_files (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          mountpoint TEXT NOT NULL,
+          video_id TEXT NOT NULL,
+          device_path TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (mountpoint, video_id)
+        );
+      `);
+    },
+  },
+  {
+    description: 'renditions',
+    up: async (db) => {
+      await db.exec(`
+        -- Every file made from a video, one per format preset.
+        CREATE TABLE renditions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          video_id TEXT NOT NULL,
+          preset TEXT NOT NULL,
+          file_path TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (video_id, preset),
+          FOREIGN KEY (video_id) REFERENCES videos (id)
+        );
+      `);
+    },
+  },
+  {
+    description: 'per-channel filter rules',
+    up: async (db) => {
+      await db.exec(`
+        -- JSON list of filter rules, see filters.mjs.
+        ALTER TABLE channels ADD COLUMN filter_rules TEXT;
+      `);
+    },
+  },
+  {
+    description: 'per-channel schedules',
+    up: async (db) => {
+      await db.exec(`
+        ALTER TABLE channels ADD COLUMN schedule TEXT;
+        -- When the channel was last checked, to catch up on missed scheduled checks.
+        ALTER TABLE channels ADD COLUMN last_checked_at DATETIME;
+      `);
+    },
+  },
+  {
+    description: 'file sizes, lengths and checksums',
+    up: async (db) => {
+      await db.exec(`
+        -- The size in bytes, length in seconds and SHA-256 of the main file, checked by the verify command.
+        ALTER TABLE videos ADD COLUMN size INTEGER;
+        ALTER TABLE videos ADD COLUMN duration REAL;
+        ALTER TABLE videos ADD COLUMN checksum TEXT;
+      `);
+    },
+  },
+  {
+    description: 'run history',
+    up: async (db) => {
+      await db.exec(`
+        -- One row per run, see runs.mjs. channels and errors are JSON lists.
+        CREATE TABLE runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          started_at DATETIME NOT NULL,
+          finished_at DATETIME,
+          status TEXT NOT NULL DEFAULT 'running',
+          channels TEXT NOT NULL DEFAULT '[]',
+          found INTEGER NOT NULL DEFAULT 0,
+          downloaded INTEGER NOT NULL DEFAULT 0,
+          skipped INTEGER NOT NULL DEFAULT 0,
+          pending INTEGER NOT NULL DEFAULT 0,
+          failed INTEGER NOT NULL DEFAULT 0,
+          errors TEXT NOT NULL DEFAULT '[]'
+        );
+      `);
+    },
+  },
+  {
+    description: 'retention rules',
+    up: async (db) => {
+      await db.exec(`
+        -- Retention overrides, see RETENTION_SETTINGS. 0 turns the rule off for the channel.
+        -- Videos deleted by the retention rules get the status 'pruned'.
+        ALTER TABLE channels ADD COLUMN keep_latest INTEGER;
+        ALTER TABLE channels ADD COLUMN max_age_days INTEGER;
+        ALTER TABLE channels ADD COLUMN max_size_mb INTEGER;
+        ALTER TABLE runs ADD COLUMN pruned INTEGER NOT NULL DEFAULT 0;
+      `);
+    },
+  },
+  {
+    description: 'per-channel audio and subtitle languages',
+    up: async (db) => {
+      await db.exec(`
+        -- Comma separated, in order of preference. NULL means AUDIO_LANGUAGES.
+        ALTER TABLE channels ADD COLUMN audio_languages TEXT;
+        -- A language, or 'off'. NULL means BURN_SUBTITLES.
+        ALTER TABLE channels ADD COLUMN burn_subtitles TEXT;
+      `);
+    },
+  },
+  {
+    description: 'normalized channel URLs',
+    // Channels used to be stored as written in CHANNELS_TO_CHECK, e.g. without
+    // https://. Channels are looked up by their normalized URL now, so rewrite them,
+    // and merge the rows that turn out to be the same channel into the oldest one.
+    up: async (db) => {
+      const channels = await db.all('SELECT id, url FROM channels ORDER BY id');
+      const kept = new Map();
+      for (const channel of channels) {
+        let url;
+        try {
+          url = normalizeChannelUrl(channel.url);
+        } catch {
+          continue; // Leave URLs that can't be parsed as they are.
+        }
+        const keptId = kept.get(url);
+        if (keptId === undefined) {
+          kept.set(url, channel.id);
+          continue;
+        }
+        await db.run('UPDATE videos SET channel_id = ? WHERE channel_id = ?', keptId, channel.id);
+        await db.run('UPDATE jobs SET channel_id = ? WHERE channel_id = ?', keptId, channel.id);
+        await db.run('DELETE FROM channels WHERE id = ?', channel.id);
+      }
+      for (const [url, id] of kept) {
+        await db.run('UPDATE channels SET url = ? WHERE id = ?', url, id);
+      }
+    },
+  },
+];
+
+/**
+ * Reads the schema version, 0 for a new database or one from before versioning.
+ * @param {object} db - The database instance.
+ * @returns {Promise<number>}
+ */
+async function getSchemaVersion(db) {
+  await db.exec('CREATE TABLE IF NOT EXISTS schema_version (version INTEGER NOT NULL)');
+  const row = await db.get('SELECT version FROM schema_version');
+  if (row) return row.version;
+  await db.run('INSERT INTO schema_version (version) VALUES (0)');
+  return 0;
+}
+
+/**
+ * Copies the database next to itself before it is upgraded.
+ * @param {object} db - The database instance.
+ * @param {number} version - The current schema version, part of the backup's name.
+ * @returns {Promise<string>} The path of the backup.
+ */
+async function backupDatabase(db, version) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '');
+  const backupPath = `${DATABASE_PATH}.v${version}-${stamp}.bak`;
+  // Unlike copying the file, this gives a consistent copy while it is open.
+  await db.run('VACUUM INTO ?', backupPath);
+  return backupPath;
+}
+
+/**
+ * Runs the migrations the database has not had yet.
+ * @param {object} db - The database instance.
+ * @throws {Error} If the database is newer than this version, or a migration fails.
+ */
+async function migrate(db) {
+  const version = await getSchemaVersion(db);
+  if (version > MIGRATIONS.length) {
+    throw new Error(`The database is at schema version ${version}, but this version of ShortStash only knows ${MIGRATIONS.length}. Please update ShortStash.`);
+  }
+  if (version === MIGRATIONS.length) return;
+
+  // A new database has nothing worth a backup.
+  const isNew = !(await db.get("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'channels'"));
+  if (!isNew) {
+    const backupPath = await backupDatabase(db, version);
+    console.log(chalk.yellow(`Upgrading the database from schema version ${version} to ${MIGRATIONS.length}, a backup was saved as ${backupPath}`));
+  }
+
+  for (let next = version + 1; next <= MIGRATIONS.length; next++) {
+    const { description, up } = MIGRATIONS[next - 1];
+    await db.exec('BEGIN IMMEDIATE');
+    try {
+      await up(db);
+      await db.run('UPDATE schema_version SET version = ?', next);
+      await db.exec('COMMIT');
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      throw new Error(`Migration ${next} (${description}) failed, the database was left at version ${next - 1}: ${error.message}`);
+    }
+  }
+}
+
 // This function sets up and returns the database connection.
 async function initializeDatabase() {
+  mkdirSync(dirname(DATABASE_PATH), { recursive: true });
   const db = await open({
-    filename: './shortstash.sqlite',
+    filename: DATABASE_PATH,
     driver: sqlite3.Database,
   });
 
- await db.exec(`
-    CREATE TABLE IF NOT EXISTS channels (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      url TEXT NOT NULL UNIQUE,
-      last_video_id TEXT,
-      is_active INTEGER DEFAULT 1
-    );
-
-    CREATE TABLE IF NOT EXISTS videos (
-      id TEXT PRIMARY KEY,
-      title TEXT NOT NULL,
-      channel_id INTEGER,
-      upload_date TEXT,
-      downloaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (channel_id) REFERENCES channels (id)
-    );
-  `);
-  
-  await db.exec(`
-    CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT
-    );
-
-    -- Set a default value so we don't have to check for nulls
-    INSERT OR IGNORE INTO settings (key, value) VALUES ('normal_video_mode', 'prompt');
-`);
-
-  console.log(chalk.green('Database initialized successfully.'));
+  try {
+    await migrate(db);
+  } catch (error) {
+    await db.close();
+    throw error;
+  }
+
+  // Only on a terminal, so the JSON printed by `history --log-format json` can be piped.
+  if (process.stdout.isTTY) console.log(chalk.green('Database initialized successfully.'));
   return db;
 }
 
-export const dbPromise = initializeDatabase();
\ No newline at end of file
+export const dbPromise = initializeDatabase().catch((error) => {
+  console.error(chalk.red(`❌ Could not open the database ${DATABASE_PATH}: ${error.message}`));
+  process.exit(1);
+});
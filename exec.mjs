@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Runs the external programs ShortStash is built on: yt-dlp, ffmpeg
+ * and ffprobe. Every module starts them through runCommand(), so they all fail
+ * the same way, with the program's error output as the message.
+ */
+
+import { spawn } from 'child_process';
+
+/**
+ * Runs a program and collects what it prints.
+ * @param {string} command - The program, e.g. 'yt-dlp'.
+ * @param {string[]} args - Its arguments.
+ * @param {object} [options]
+ * @param {function(string): void} [options.onOutput] - Gets the output as it comes
+ *   instead, e.g. to follow progress. The promise then resolves with ''.
+ * @returns {Promise<string>} The standard output.
+ * @throws {Error} If the program can't be started or exits with an error.
+ */
+export function runCommand(command, args, { onOutput } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let output = '';
+    let error = '';
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (data) => (onOutput ? onOutput(data) : (output += data)));
+    child.stderr.on('data', (data) => (error += data));
+    child.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`${command} failed with code ${code}:\n${error}`));
+      resolve(output);
+    });
+    child.on('error', (err) => reject(err));
+  });
+}
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Podcast RSS 2.0 feeds (with iTunes tags) for the downloaded files.
+ * Each channel folder gets a feed.xml, and the output folder gets a combined
+ * feed.xml covering every channel. Enclosure URLs point at FEED_SETTINGS.base_url,
+ * which can be the dashboard's /files path or any static web server.
+ */
+
+import { existsSync } from 'fs';
+import { mkdir, stat, writeFile } from 'fs/promises';
+import { extname, join } from 'path';
+import chalk from 'chalk';
+
+import { FEED_SETTINGS } from './config.mjs';
+import { MIME_TYPES } from './formats.mjs';
+import { OUTPUT_ROOT, getChannelDir, resolveStoredPath, toStoredPath } from './paths.mjs';
+
+export const FEED_FILE_NAME = 'feed.xml';
+
+export function escapeXml(text) {
+  return String(text ?? '').replace(/[<>&'"]/g, (c) => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;',
+  }[c]));
+}
+
+/**
+ * Builds a public URL below FEED_SETTINGS.base_url for a path relative to the output folder.
+ * @param {string} storedPath - The path relative to OUTPUT_ROOT, with forward slashes.
+ * @returns {string}
+ */
+function toFeedUrl(storedPath) {
+  const base = FEED_SETTINGS.base_url.replace(/\/+$/, '');
+  return `${base}/${storedPath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// yt-dlp dates are YYYYMMDD, RSS wants RFC 822.
+function toRfc822(uploadDate) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(uploadDate || '');
+  if (!match) return null;
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12)).toUTCString();
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return [h, m, s].map((n) => String(n).padStart(2, '0')).join(':');
+}
+
+/**
+ * Finds the cover picture of a video: the thumbnail sidecar next to its main file
+ * when there is one, otherwise the thumbnail on YouTube.
+ * @param {object} video - The videos row.
+ * @returns {string} The image URL.
+ */
+function findCoverUrl(video) {
+  const mainFile = resolveStoredPath(video.file_path);
+  const thumbnail = mainFile && `${mainFile.slice(0, -extname(mainFile).length)}.jpg`;
+  if (thumbnail && existsSync(thumbnail)) return toFeedUrl(toStoredPath(thumbnail));
+  return `https://i.ytimg.com/vi/${encodeURIComponent(video.id)}/hqdefault.jpg`;
+}
+
+// Podcast apps only reliably play these.
+const PODCAST_EXTENSIONS = ['mp3', 'm4a', 'mp4'];
+
+/**
+ * Loads the downloaded videos that have a file a podcast app can play.
+ * @param {object} db - The database instance.
+ * @param {number} [channelId] - Only load videos of this channel.
+ * @returns {Promise<object[]>} The videos with their enclosure details, newest first.
+ */
+async function loadFeedItems(db, channelId) {
+  const videos = await db.all(`
+    SELECT v.*, c.name AS channel_name, json_extract(j.video_info, '$.duration') AS duration,
+      (SELECT json_group_array(r.file_path) FROM renditions r WHERE r.video_id = v.id ORDER BY r.id) AS rendition_paths
+    FROM videos v
+    LEFT JOIN channels c ON c.id = v.channel_id
+    LEFT JOIN jobs j ON j.video_id = v.id
+    WHERE v.status = 'downloaded' AND v.file_path IS NOT NULL ${channelId ? 'AND v.channel_id = ?' : ''}
+    ORDER BY v.upload_date DESC, v.downloaded_at DESC
+  `, ...(channelId ? [channelId] : []));
+
+  const items = [];
+  for (const video of videos) {
+    if (items.length >= FEED_SETTINGS.max_items) break;
+    // Any rendition will do, e.g. the mp3 of a video that is also kept as amv.
+    const storedPath = [video.file_path, ...JSON.parse(video.rendition_paths)]
+      .find((path) => PODCAST_EXTENSIONS.includes(extname(path).slice(1).toLowerCase()));
+    const filePath = storedPath && resolveStoredPath(storedPath);
+    if (!filePath) continue;
+    try {
+      const { size } = await stat(filePath);
+      const type = MIME_TYPES[extname(storedPath).slice(1).toLowerCase()];
+      items.push({ ...video, enclosure: { url: toFeedUrl(storedPath), length: size, type }, image: findCoverUrl(video) });
+    } catch {
+      // The file was moved or deleted, leave it out of the feed.
+    }
+  }
+  return items;
+}
+
+/**
+ * Renders an RSS 2.0 podcast feed. Its cover picture is the newest episode's.
+ * @param {object} feed - title, link, description, author and selfUrl of the feed.
+ * @param {object[]} items - The items from loadFeedItems().
+ * @returns {string} The XML document.
+ */
+function renderFeed(feed, items) {
+  const itemXml = items.map((item) => {
+    const pubDate = toRfc822(item.upload_date);
+    const link = `https://www.youtube.com/watch?v=${item.id}`;
+    return `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(link)}</link>
+      <guid isPermaLink="false">youtube:${escapeXml(item.id)}</guid>
+      ${pubDate ? `<pubDate>${pubDate}</pubDate>` : ''}
+      <description>${escapeXml(`${item.title} (${link})`)}</description>
+      <enclosure url="${escapeXml(item.enclosure.url)}" length="${item.enclosure.length}" type="${item.enclosure.type}"/>
+      <itunes:image href="${escapeXml(item.image)}"/>
+      <itunes:author>${escapeXml(item.channel_name || feed.author)}</itunes:author>
+      ${item.duration ? `<itunes:duration>${formatDuration(item.duration)}</itunes:duration>` : ''}
+      <itunes:episodeType>full</itunes:episodeType>
+      <itunes:explicit>false</itunes:explicit>
+    </item>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(FEED_SETTINGS.language)}</language>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+    <generator>ShortStash</generator>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+    <itunes:author>${escapeXml(feed.author)}</itunes:author>
+    ${items.length > 0 ? `<itunes:image href="${escapeXml(items[0].image)}"/>` : ''}
+    <itunes:category text="${escapeXml(FEED_SETTINGS.category)}"/>
+    <itunes:explicit>false</itunes:explicit>
+    <itunes:type>episodic</itunes:type>
+${itemXml}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Writes the feed of every channel folder plus the combined feed.
+ * @param {object} db - The database instance.
+ * @returns {Promise<number>} The number of feeds written.
+ */
+export async function writeFeeds(db) {
+  const channels = await db.all('SELECT * FROM channels WHERE name IS NOT NULL ORDER BY id');
+  let written = 0;
+
+  for (const channel of channels) {
+    const items = await loadFeedItems(db, channel.id);
+    if (items.length === 0) continue;
+
+    const xml = renderFeed({
+      title: channel.name,
+      link: channel.url,
+      description: `Videos from ${channel.name}, archived by ShortStash.`,
+      author: channel.name,
+      selfUrl: toFeedUrl(toStoredPath(join(getChannelDir(channel.name), FEED_FILE_NAME))),
+    }, items);
+    // With a custom OUTPUT_TEMPLATE the files may live elsewhere.
+    await mkdir(getChannelDir(channel.name), { recursive: true });
+    await writeFile(join(getChannelDir(channel.name), FEED_FILE_NAME), xml);
+    written++;
+  }
+
+  const allItems = await loadFeedItems(db);
+  await writeFile(join(OUTPUT_ROOT, FEED_FILE_NAME), renderFeed({
+    title: FEED_SETTINGS.title,
+    link: FEED_SETTINGS.base_url,
+    description: 'Every channel archived by ShortStash.',
+    author: FEED_SETTINGS.title,
+    selfUrl: toFeedUrl(FEED_FILE_NAME),
+  }, allItems));
+  written++;
+
+  return written;
+}
+
+/**
+ * Entry point for `shortstash feeds`, rewrites every feed now.
+ * @param {object} db - The database instance.
+ */
+export async function runFeedsCommand(db) {
+  const written = await writeFeeds(db);
+  console.log(chalk.green(`✅ Wrote ${written} feed(s). The combined feed is at ${toFeedUrl(FEED_FILE_NAME)}`));
+}
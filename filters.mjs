@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Declarative rules that decide what happens to each new video.
+ * Rules are checked in order and the first one whose conditions all match wins.
+ * Per-channel rules (the channel's filter_rules setting) are checked before the
+ * global FILTER_RULES. A video no rule matches is treated as 'ask'.
+ *
+ * A rule looks like { name, action, match }, where action is one of RULE_ACTIONS
+ * and match holds any of these conditions:
+ *   title_includes, title_excludes              Regex tested against the title (case-insensitive).
+ *   description_includes, description_excludes  Regex tested against the description.
+ *   min_duration, max_duration                  Length in seconds, both inclusive.
+ *   orientation                                 'vertical', 'horizontal' or 'square'.
+ *   min_aspect_ratio, max_aspect_ratio          Width divided by height, e.g. 1.77 for 16:9.
+ *   live                                        true matches live streams and premieres, false everything else.
+ *   tags_include, tags_exclude                  Lists of tags (case-insensitive), any one of them matches.
+ */
+
+import { FILTER_RULES } from './config.mjs';
+
+// 'download' queues the video, 'ask' offers it according to the normal video mode,
+// 'skip' records it so it is never offered again.
+export const RULE_ACTIONS = ['download', 'ask', 'skip'];
+
+// Used when no rule matches.
+const DEFAULT_OUTCOME = { action: 'ask', rule: null };
+
+// yt-dlp live_status values of anything that is not a regular upload.
+const LIVE_STATUSES = ['is_live', 'is_upcoming', 'was_live', 'post_live'];
+
+const REGEX_CONDITIONS = ['title_includes', 'title_excludes', 'description_includes', 'description_excludes'];
+const NUMBER_CONDITIONS = ['min_duration', 'max_duration', 'min_aspect_ratio', 'max_aspect_ratio'];
+const TAG_CONDITIONS = ['tags_include', 'tags_exclude'];
+const ORIENTATIONS = ['vertical', 'horizontal', 'square'];
+
+function getOrientation(video) {
+  if (!video.width || !video.height) return null;
+  if (video.width === video.height) return 'square';
+  return video.width < video.height ? 'vertical' : 'horizontal';
+}
+
+function hasAnyTag(video, tags) {
+  const videoTags = (video.tags || []).map((tag) => tag.toLowerCase());
+  return tags.some((tag) => videoTags.includes(tag.toLowerCase()));
+}
+
+/**
+ * Checks whether a video meets every condition of a rule.
+ * @param {object} video - The video metadata object from yt-dlp.
+ * @param {object} match - The rule's conditions.
+ * @returns {boolean}
+ */
+function matchesRule(video, match) {
+  const test = (pattern, text) => new RegExp(pattern, 'i').test(text || '');
+  const aspectRatio = video.width && video.height ? video.width / video.height : null;
+
+  if (match.title_includes !== undefined && !test(match.title_includes, video.title)) return false;
+  if (match.title_excludes !== undefined && test(match.title_excludes, video.title)) return false;
+  if (match.description_includes !== undefined && !test(match.description_includes, video.description)) return false;
+  if (match.description_excludes !== undefined && test(match.description_excludes, video.description)) return false;
+  if (match.min_duration !== undefined && !(video.duration >= match.min_duration)) return false;
+  if (match.max_duration !== undefined && !(video.duration <= match.max_duration)) return false;
+  if (match.orientation !== undefined && getOrientation(video) !== match.orientation) return false;
+  if (match.min_aspect_ratio !== undefined && !(aspectRatio >= match.min_aspect_ratio)) return false;
+  if (match.max_aspect_ratio !== undefined && !(aspectRatio !== null && aspectRatio <= match.max_aspect_ratio)) return false;
+  if (match.live !== undefined && LIVE_STATUSES.includes(video.live_status) !== match.live) return false;
+  if (match.tags_include !== undefined && !hasAnyTag(video, match.tags_include)) return false;
+  if (match.tags_exclude !== undefined && hasAnyTag(video, match.tags_exclude)) return false;
+  return true;
+}
+
+/**
+ * Decides what happens to a video. This is the only place videos are classified.
+ * @param {object} video - The video metadata object from yt-dlp.
+ * @param {object[]} rules - The rules to check, in order.
+ * @returns {{action: string, rule: object|null}} The outcome and the rule that decided it.
+ */
+export function classifyVideo(video, rules) {
+  const rule = rules.find((r) => matchesRule(video, r.match || {}));
+  return rule ? { action: rule.action, rule } : DEFAULT_OUTCOME;
+}
+
+/**
+ * Returns what is wrong with a list of rules.
+ * @param {any} rules - The rules as configured.
+ * @param {string} source - Where the rules come from, used in the messages.
+ * @returns {string[]} The problems, empty if the rules are valid.
+ */
+export function findRuleErrors(rules, source) {
+  if (!Array.isArray(rules)) return [`${source} must be a list of rules.`];
+
+  const errors = [];
+  rules.forEach((rule, i) => {
+    const label = `${source} rule ${rule?.name ? `"${rule.name}"` : `#${i + 1}`}`;
+    if (typeof rule !== 'object' || rule === null) {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    if (!RULE_ACTIONS.includes(rule.action)) {
+      errors.push(`${label}: action must be one of ${RULE_ACTIONS.join(', ')}.`);
+    }
+    const match = rule.match ?? {};
+    if (typeof match !== 'object' || Array.isArray(match)) {
+      errors.push(`${label}: match must be an object of conditions.`);
+      return;
+    }
+
+    const known = [...REGEX_CONDITIONS, ...NUMBER_CONDITIONS, ...TAG_CONDITIONS, 'orientation', 'live'];
+    for (const [key, value] of Object.entries(match)) {
+      if (!known.includes(key)) {
+        errors.push(`${label}: unknown condition ${key}. Available: ${known.join(', ')}`);
+      } else if (REGEX_CONDITIONS.includes(key)) {
+        try {
+          new RegExp(value, 'i');
+        } catch (error) {
+          errors.push(`${label}: ${key} is not a valid regex (${error.message}).`);
+        }
+      } else if (NUMBER_CONDITIONS.includes(key) && (typeof value !== 'number' || value < 0)) {
+        errors.push(`${label}: ${key} must be a positive number.`);
+      } else if (TAG_CONDITIONS.includes(key) && (!Array.isArray(value) || !value.every((tag) => typeof tag === 'string'))) {
+        errors.push(`${label}: ${key} must be a list of tags.`);
+      } else if (key === 'orientation' && !ORIENTATIONS.includes(value)) {
+        errors.push(`${label}: orientation must be one of ${ORIENTATIONS.join(', ')}.`);
+      } else if (key === 'live' && typeof value !== 'boolean') {
+        errors.push(`${label}: live must be true or false.`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Checks FILTER_RULES at startup.
+ * @throws {Error} Listing every problem found.
+ */
+export function validateFilterRules() {
+  const errors = findRuleErrors(FILTER_RULES, 'FILTER_RULES');
+  if (errors.length > 0) {
+    throw new Error(`Invalid filter rules:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+/**
+ * Parses the filter_rules setting of a channel.
+ * @param {string} value - The rules as JSON.
+ * @returns {object[]}
+ */
+export function parseChannelRules(value) {
+  let rules;
+  try {
+    rules = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`The filter rules must be valid JSON: ${error.message}`);
+  }
+  const errors = findRuleErrors(rules, 'filter_rules');
+  if (errors.length > 0) throw new Error(`Invalid filter rules:\n  ${errors.join('\n  ')}`);
+  return rules;
+}
+
+/**
+ * Describes an outcome for the --dry-run output.
+ * @param {{action: string, rule: object|null}} outcome - From classifyVideo().
+ * @returns {string}
+ */
+export function describeOutcome({ rule }) {
+  if (!rule) return 'no rule matched';
+  return rule.name ? `rule "${rule.name}"` : `rule ${JSON.stringify(rule.match || {})}`;
+}
@@ -1,8 +1,33 @@
 /**
  * @fileoverview Defines the FFmpeg settings for various output formats.
+ * The built-in presets below can be changed or extended with a JSON file (see
+ * PRESETS_FILE in config.mjs). Each preset has:
+ *   type          'video', or 'audio' to download and keep only the audio stream.
+ *   extension     The extension of the output file.
+ *   scale         true to use VIDEO_SETTINGS.scale, a 'width:height' string, or false to keep the size.
+ *   frame_rate    true to use VIDEO_SETTINGS.frame_rate, a number, or false to keep the frame rate.
+ *   video_bitrate Optional, e.g. '500k'.
+ *   audio_bitrate Optional, e.g. '128k'.
+ *   ffmpeg_args   Any other output arguments, e.g. the codecs.
+ *   mime_type     Optional, only needed for extensions not in MIME_TYPES.
+ *   sidecars      Files to write next to the output, any of SIDECAR_TYPES.
+ *   embed_metadata true to tag the file with the title, channel and upload date.
+ *   embed_cover   true to embed the thumbnail as cover art (COVER_EXTENSIONS only).
  */
 
-export const FORMAT_PRESETS = {
+import { existsSync, readFileSync } from 'fs';
+
+import { PRESETS_FILE, TARGET_FORMAT, VIDEO_SETTINGS } from './config.mjs';
+import { resolveConfigPath } from './paths.mjs';
+
+// info_json is yt-dlp's metadata, thumbnail a JPG, subtitles English SRT and nfo
+// the metadata in the format Kodi and Jellyfin read.
+export const SIDECAR_TYPES = ['info_json', 'thumbnail', 'subtitles', 'nfo'];
+
+// Containers ffmpeg can embed a cover picture in (ID3 APIC, MP4 covr).
+export const COVER_EXTENSIONS = ['mp3', 'm4a', 'mp4'];
+
+const BUILT_IN_PRESETS = {
   // ----------------------------------------------------------------
   // --- Recommended Presets for AGPTEK A65 & Similar Players ---
   // ----------------------------------------------------------------
@@ -12,9 +37,11 @@ export const FORMAT_PRESETS = {
    * Low resolution, small file size.
    */
   amv: {
+    type: 'video',
     extension: 'amv',
+    scale: true,
+    frame_rate: true,
     ffmpeg_args: [
-      // The -vf and -r arguments are generated dynamically from config.mjs
       '-c:v', 'amv',
       '-c:a', 'adpcm_ima_amv',
       '-ar', '22050',
@@ -28,7 +55,10 @@ export const FORMAT_PRESETS = {
    * Uses the very common Xvid video and MP3 audio codecs.
    */
   avi_xvid: {
+    type: 'video',
     extension: 'avi',
+    scale: true,
+    frame_rate: true,
     ffmpeg_args: [
       '-c:v', 'libxvid', // Use the Xvid codec
       '-q:v', '10',      // Video quality (lower is better)
@@ -42,12 +72,12 @@ export const FORMAT_PRESETS = {
    * for older hardware than Variable Bitrate (VBR).
    */
   mp3_cbr: {
+    type: 'audio',
     extension: 'mp3',
-    ffmpeg_args: [
-      '-vn', // No video
-      '-c:a', 'libmp3lame',
-      '-b:a', '128k', // Set a constant bitrate of 128kbps
-    ],
+    audio_bitrate: '128k', // Set a constant bitrate of 128kbps
+    ffmpeg_args: ['-c:a', 'libmp3lame', '-id3v2_version', '3'],
+    embed_metadata: true,
+    embed_cover: true,
   },
 
 
@@ -56,24 +86,231 @@ export const FORMAT_PRESETS = {
   // ----------------------------------------------------------------
 
   mp4: {
+    type: 'video',
     extension: 'mp4',
     ffmpeg_args: ['-c:v', 'copy', '-c:a', 'copy'],
+    embed_metadata: true,
+    embed_cover: true,
   },
 
   mkv: {
+    type: 'video',
     extension: 'mkv',
     ffmpeg_args: ['-c:v', 'copy', '-c:a', 'copy'],
+    embed_metadata: true,
   },
 
   webm: {
+    type: 'video',
     extension: 'webm',
+    scale: true,
+    frame_rate: true,
+    video_bitrate: '0', // Quality is set by -crf instead.
+    audio_bitrate: '128k',
     ffmpeg_args: [
       '-c:v', 'libvpx-vp9',
-      '-b:v', '0',
       '-crf', '30',
       '-c:a', 'libopus',
-      '-b:a', '128k',
     ],
+    embed_metadata: true,
   }
   
-};
\ No newline at end of file
+};
+
+// Problems found while reading PRESETS_FILE, reported by validateFormatPresets().
+const loadErrors = [];
+
+function loadUserPresets() {
+  if (!PRESETS_FILE) return {};
+  const presetsPath = resolveConfigPath(PRESETS_FILE);
+  if (!existsSync(presetsPath)) return {};
+  try {
+    const presets = JSON.parse(readFileSync(presetsPath, 'utf8'));
+    if (typeof presets !== 'object' || presets === null || Array.isArray(presets)) {
+      throw new Error('it must contain an object of presets keyed by name');
+    }
+    return presets;
+  } catch (error) {
+    loadErrors.push(`Could not read ${PRESETS_FILE}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * The built-in presets with the ones from PRESETS_FILE merged over them. A user
+ * preset with the name of a built-in one only needs the fields it changes.
+ */
+export const FORMAT_PRESETS = Object.fromEntries(
+  Object.entries({ ...BUILT_IN_PRESETS, ...loadUserPresets() }).map(([name, preset]) => [
+    name,
+    { ffmpeg_args: [], ...BUILT_IN_PRESETS[name], ...preset },
+  ])
+);
+
+const SCALE_PATTERN = /^-?\d+:-?\d+$/;
+const BITRATE_PATTERN = /^\d+(\.\d+)?[kKmM]?$/;
+
+/**
+ * Returns what is wrong with a preset.
+ * @param {string} name - The preset name.
+ * @param {object} preset - The merged preset.
+ * @returns {string[]} The problems, empty if the preset is valid.
+ */
+function findPresetErrors(name, preset) {
+  const errors = [];
+  const fail = (message) => errors.push(`Preset "${name}": ${message}`);
+
+  if (!['video', 'audio'].includes(preset.type)) fail("type must be 'video' or 'audio'.");
+  if (typeof preset.extension !== 'string' || !/^[a-z0-9]+$/i.test(preset.extension)) {
+    fail('extension must be letters and digits only, e.g. "mp4".');
+  }
+  if (!Array.isArray(preset.ffmpeg_args) || !preset.ffmpeg_args.every((arg) => typeof arg === 'string')) {
+    fail('ffmpeg_args must be a list of strings.');
+  }
+  if (preset.scale !== undefined && typeof preset.scale !== 'boolean' && !SCALE_PATTERN.test(preset.scale)) {
+    fail('scale must be true, false or "width:height".');
+  }
+  if (preset.frame_rate !== undefined && typeof preset.frame_rate !== 'boolean' && !(Number(preset.frame_rate) > 0)) {
+    fail('frame_rate must be true, false or a positive number.');
+  }
+  for (const key of ['video_bitrate', 'audio_bitrate']) {
+    if (preset[key] !== undefined && !BITRATE_PATTERN.test(preset[key])) {
+      fail(`${key} must look like "128k".`);
+    }
+  }
+  if (preset.type === 'audio' && (preset.scale || preset.frame_rate || preset.video_bitrate)) {
+    fail('audio presets have no video, so scale, frame_rate and video_bitrate must not be set.');
+  }
+  if (preset.mime_type !== undefined && typeof preset.mime_type !== 'string') {
+    fail('mime_type must be a string.');
+  }
+  if (preset.sidecars !== undefined
+    && (!Array.isArray(preset.sidecars) || !preset.sidecars.every((type) => SIDECAR_TYPES.includes(type)))) {
+    fail(`sidecars must be a list of ${SIDECAR_TYPES.join(', ')}.`);
+  }
+  for (const key of ['embed_metadata', 'embed_cover']) {
+    if (preset[key] !== undefined && typeof preset[key] !== 'boolean') fail(`${key} must be true or false.`);
+  }
+  if (preset.embed_cover && !COVER_EXTENSIONS.includes(String(preset.extension).toLowerCase())) {
+    fail(`embed_cover only works for ${COVER_EXTENSIONS.join(', ')} files.`);
+  }
+  return errors;
+}
+
+/**
+ * Turns a format setting into a list of preset names. TARGET_FORMAT may be a
+ * name or a list of names; channel overrides are stored comma separated.
+ * @param {string|string[]} value - e.g. 'amv', ['amv', 'mp4'] or 'amv,mp4'.
+ * @returns {string[]}
+ */
+export function toFormatList(value) {
+  const names = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return [...new Set(names.map((name) => String(name).trim()).filter(Boolean))];
+}
+
+/**
+ * Checks every preset and TARGET_FORMAT. Called at startup, so a typo in the
+ * presets file or config.mjs stops ShortStash before anything is downloaded.
+ * @throws {Error} Listing every problem found.
+ */
+export function validateFormatPresets() {
+  const errors = [...loadErrors];
+  for (const [name, preset] of Object.entries(FORMAT_PRESETS)) {
+    errors.push(...findPresetErrors(name, preset));
+  }
+  const targetFormats = toFormatList(TARGET_FORMAT);
+  if (targetFormats.length === 0) {
+    errors.push('TARGET_FORMAT must name at least one preset.');
+  }
+  for (const name of targetFormats.filter((name) => !FORMAT_PRESETS[name])) {
+    errors.push(`Unknown format preset "${name}" in TARGET_FORMAT. Available presets: ${Object.keys(FORMAT_PRESETS).join(', ')}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid format presets:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+// ffmpeg options that set the codec of the first video stream.
+const VIDEO_CODEC_OPTIONS = ['-c', '-codec', '-c:v', '-codec:v', '-vcodec', '-c:v:0', '-codec:v:0'];
+
+/**
+ * Tells whether a preset copies the video stream as it is instead of encoding it.
+ * @param {object} preset - A FORMAT_PRESETS entry.
+ * @returns {boolean}
+ */
+export function copiesVideo(preset) {
+  const args = preset.ffmpeg_args;
+  const index = args.findLastIndex((arg, i) => VIDEO_CODEC_OPTIONS.includes(arg) && i + 1 < args.length);
+  return index !== -1 && args[index + 1] === 'copy';
+}
+
+/**
+ * Builds the ffmpeg output arguments of a preset. The video options only apply to
+ * the first video stream, a second one is the cover picture. Burning in subtitles
+ * needs the video to be encoded, so presets that copy it encode it with libx264 then.
+ * @param {object} preset - A FORMAT_PRESETS entry.
+ * @param {object} [options]
+ * @param {boolean} [options.cover] - Whether a cover picture is mapped to the output.
+ * @param {string|null} [options.subtitles] - An SRT file to burn into the video.
+ * @returns {string[]}
+ */
+export function buildFfmpegArgs(preset, { cover = false, subtitles = null } = {}) {
+  const args = [];
+  if (preset.type === 'audio' && !cover) args.push('-vn');
+  const scale = preset.scale === true ? VIDEO_SETTINGS.scale : preset.scale;
+  const filters = [];
+  if (scale) filters.push(`scale=${scale}`);
+  // After scaling, so the text is drawn at the output resolution.
+  if (subtitles && preset.type === 'video') filters.push(buildSubtitlesFilter(subtitles, scale));
+  if (filters.length > 0) args.push('-filter:v:0', filters.join(','));
+  const frameRate = preset.frame_rate === true ? VIDEO_SETTINGS.frame_rate : preset.frame_rate;
+  if (frameRate) args.push('-r:v:0', String(frameRate));
+  if (preset.video_bitrate) args.push('-b:v:0', preset.video_bitrate);
+  if (preset.audio_bitrate) args.push('-b:a', preset.audio_bitrate);
+  // ffmpeg uses the last codec option that matches a stream.
+  const encode = subtitles && preset.type === 'video' && copiesVideo(preset) ? ['-c:v:0', 'libx264'] : [];
+  return [...args, ...preset.ffmpeg_args, ...encode];
+}
+
+// Escapes a filter option value, then the filter for the filtergraph, as ffmpeg
+// parses both. Paths can contain any of these, Windows ones a drive colon.
+function escapeFilterValue(value) {
+  const option = value.replace(/[\\':]/g, '\\$&');
+  return option.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Builds the subtitles filter. Subtitles are laid out for a 288 pixel high frame
+ * and scaled from there, which leaves them a few pixels high on the tiny screens
+ * VIDEO_SETTINGS.scale is made for. So the font size is chosen for the output
+ * height: about 1/16 of it, but never less than 10 pixels.
+ * @param {string} file - The SRT file.
+ * @param {string|false} scale - The output size as 'width:height', if the preset scales.
+ * @returns {string}
+ */
+function buildSubtitlesFilter(file, scale) {
+  const filter = `subtitles=filename=${escapeFilterValue(file)}`;
+  const height = parseInt(String(scale).split(':')[1]);
+  if (!(height > 0)) return filter;
+  const fontSize = Math.round((Math.max(10, height / 16) * 288) / height);
+  return `${filter}:force_style=${escapeFilterValue(`FontSize=${fontSize}`)}`;
+}
+
+/**
+ * MIME types of the extensions the presets produce, used when serving the files
+ * and when writing podcast feeds.
+ */
+export const MIME_TYPES = {
+  amv: 'video/x-amv',
+  avi: 'video/x-msvideo',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  mp4: 'video/mp4',
+  mkv: 'video/x-matroska',
+  webm: 'video/webm',
+  ...Object.fromEntries(
+    Object.values(FORMAT_PRESETS)
+      .filter((preset) => typeof preset.mime_type === 'string')
+      .map((preset) => [preset.extension.toLowerCase(), preset.mime_type])
+  ),
+};
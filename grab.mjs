@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Ad-hoc downloads with `shortstash grab`: single videos, playlists
+ * and text files with one URL per line, outside of the tracked channels. Every
+ * video goes through the filter rules and the job queue like the ones found on
+ * channel runs, and is linked to its channel when that channel is tracked, so it
+ * gets the channel's settings and shows up in its folder and feed.
+ */
+
+import { existsSync, statSync } from 'fs';
+import { readFile } from 'fs/promises';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+
+import { BROWSER, FEED_SETTINGS } from './config.mjs';
+import { normalizeChannelUrl, resolveChannelSettings } from './channels.mjs';
+import { runCommand } from './exec.mjs';
+import { writeFeeds } from './feeds.mjs';
+import { classifyVideo, describeOutcome } from './filters.mjs';
+import { enqueueJob, requeueJob } from './jobs.mjs';
+import { limits } from './pool.mjs';
+import { summarizeError } from './runs.mjs';
+
+// What grab says about a video that is already in the videos table. Videos that
+// were skipped, failed or pruned are sorted out again, as they were asked for.
+const KNOWN_STATUSES = {
+  downloaded: 'already downloaded',
+  queued: 'already queued',
+  pending: 'waiting for approval, see `shortstash approve`',
+};
+
+/**
+ * Turns the arguments into URLs. An argument that is a file is read as a list of
+ * URLs, one per line; empty lines and lines starting with # are ignored.
+ * @param {string[]} args - URLs and files.
+ * @returns {Promise<string[]>}
+ */
+async function readInputs(args) {
+  const urls = [];
+  for (const arg of args) {
+    if (existsSync(arg) && statSync(arg).isFile()) {
+      const lines = (await readFile(arg, 'utf8')).split(/\r?\n/).map((line) => line.trim());
+      urls.push(...lines.filter((line) => line && !line.startsWith('#')));
+    } else {
+      urls.push(arg);
+    }
+  }
+  const invalid = urls.find((url) => !/^https?:\/\//i.test(url));
+  if (invalid) throw new Error(`Not a URL or a file: ${invalid}`);
+  return [...new Set(urls)];
+}
+
+/**
+ * Asks yt-dlp about a URL.
+ * @param {string} url - A video or playlist URL.
+ * @returns {Promise<object[]>} The videos, a playlist's in its order.
+ */
+async function fetchVideos(url) {
+  const args = [
+    '--cookies-from-browser', BROWSER,
+    '--extractor-args', 'youtube:player_client=web',
+    '--dump-single-json', url,
+  ];
+  return flattenEntries(JSON.parse(await runCommand('yt-dlp', args)));
+}
+
+// A channel URL gives a playlist of its tabs, each a playlist of videos.
+function flattenEntries(info) {
+  if (!info) return [];
+  if (!info.entries) return [info];
+  return info.entries.flatMap(flattenEntries);
+}
+
+/**
+ * Finds the tracked channel a video belongs to, by its URL or else its name.
+ * @param {object} db - The database instance.
+ * @param {object} video - The video metadata object from yt-dlp.
+ * @returns {Promise<object|null>} The channel row.
+ */
+async function findVideoChannel(db, video) {
+  for (const url of [video.uploader_url, video.channel_url].filter(Boolean)) {
+    let normalized;
+    try {
+      normalized = normalizeChannelUrl(url);
+    } catch {
+      continue;
+    }
+    const channel = await db.get('SELECT * FROM channels WHERE url = ?', normalized);
+    if (channel) return channel;
+  }
+  if (!video.channel) return null;
+  return (await db.get('SELECT * FROM channels WHERE name = ?', video.channel)) ?? null;
+}
+
+/**
+ * Records a grabbed video and gives it a job, or gives a video grabbed before
+ * (and skipped, failed or pruned) a fresh one.
+ * @param {object} db - The database instance.
+ * @param {object} video - The video metadata object.
+ * @param {number|null} channelId - The id of its channel, if it is tracked.
+ * @param {string[]} targetFormats - The FORMAT_PRESETS keys to convert to.
+ * @param {string} state - 'queued', or 'pending' to wait for approval.
+ */
+async function queueGrabbedVideo(db, video, channelId, targetFormats, state) {
+  const { changes } = await db.run(
+    'INSERT OR IGNORE INTO videos(id, title, channel_id, upload_date, status) VALUES(?, ?, ?, ?, ?)',
+    video.id, video.title, channelId, video.upload_date, state
+  );
+  if (changes > 0) {
+    await enqueueJob(db, video, channelId, targetFormats, state);
+    return;
+  }
+  await db.run('UPDATE videos SET status = ?, channel_id = COALESCE(channel_id, ?) WHERE id = ?', state, channelId, video.id);
+  await requeueJob(db, video, channelId, targetFormats);
+  if (state === 'pending') await db.run("UPDATE jobs SET state = 'pending' WHERE video_id = ?", video.id);
+}
+
+// Records a video the filter rules (or the user) turned down, so channel runs don't offer it again.
+async function skipGrabbedVideo(db, video, channelId) {
+  await db.run(
+    `INSERT INTO videos(id, title, channel_id, upload_date, status) VALUES(?, ?, ?, ?, 'skipped')
+     ON CONFLICT (id) DO UPDATE SET status = 'skipped'`,
+    video.id, video.title, channelId, video.upload_date
+  );
+}
+
+// Playlist entries don't always come with a duration.
+function formatLength(duration) {
+  if (typeof duration !== 'number') return '';
+  return ` ${chalk.grey(`(${Math.floor(duration / 60)}m ${duration % 60}s)`)}`;
+}
+
+/**
+ * Lets the user pick which of the videos the filter rules ask about to download.
+ * @param {object[]} items - The videos with their channel and settings.
+ * @returns {Promise<Set<object>>} The picked items.
+ */
+async function pickNormalVideos(items) {
+  const { picked } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'picked',
+      message: 'These are normal videos. Which ones would you like to download?',
+      prefix: '✅',
+      choices: items.map((item) => ({
+        name: ` ${item.video.title}${formatLength(item.video.duration)}`,
+        value: item,
+        checked: true,
+      })),
+    },
+  ]);
+  return new Set(picked);
+}
+
+/**
+ * Entry point for `shortstash grab <url|file...>`. The videos are sorted out by the
+ * filter rules of their channel (or FILTER_RULES) and the ones to download are
+ * downloaded right away; other jobs in the queue are left for the next run.
+ * Videos the rules ask about are offered on a terminal and otherwise wait for
+ * approval. With --dry-run it only prints what would happen.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The URLs and URL list files.
+ * @param {object} options
+ * @param {function(object, object, object): Promise<void>} options.processJobQueue - Works through the queued jobs.
+ * @param {boolean} options.dryRun - Whether --dry-run was given.
+ * @param {boolean} options.skipNormalVideos - Whether --skip-videos was given.
+ */
+export async function runGrabCommand(db, args, { processJobQueue, dryRun, skipNormalVideos }) {
+  if (args.length === 0) throw new Error('Please provide a video or playlist URL, or a file with one URL per line.');
+  const urls = await readInputs(args);
+
+  const failed = [];
+  const fetched = await Promise.all(urls.map((url) => limits.metadata(() => fetchVideos(url)).catch((error) => {
+    console.error(chalk.red(`✖ Could not fetch ${url}: ${summarizeError(error)}`));
+    failed.push(url);
+    return [];
+  })));
+  const videos = [...new Map(fetched.flat().filter((video) => video?.id).map((video) => [video.id, video])).values()];
+
+  const items = [];
+  for (const video of videos) {
+    const known = await db.get('SELECT status FROM videos WHERE id = ?', video.id);
+    const channel = await findVideoChannel(db, video);
+    // Videos of channels that are not tracked get the global settings.
+    const settings = await resolveChannelSettings(db, channel ?? {});
+    const outcome = KNOWN_STATUSES[known?.status]
+      ? { action: 'known', reason: KNOWN_STATUSES[known.status] }
+      : classifyVideo(video, settings.filterRules);
+    items.push({ video, channel, settings, ...outcome });
+  }
+
+  const colors = { download: chalk.green, ask: chalk.yellow, skip: chalk.grey, known: chalk.grey };
+  for (const item of items) {
+    const details = item.action === 'known' ? item.reason : describeOutcome(item);
+    const channelName = item.channel ? `#${item.channel.id} ${item.channel.name || item.channel.url}` : 'untracked channel';
+    console.log(`${colors[item.action](`[${item.action}]`.padEnd(10))} ${item.video.title} ${chalk.grey(`(${channelName}, ${details})`)}`);
+  }
+  if (dryRun) {
+    console.log(chalk.green('\nDry run completed, nothing was downloaded or recorded.'));
+    return;
+  }
+
+  const byAction = (action) => items.filter((item) => item.action === action);
+  const toDownload = byAction('download');
+  const normalVideos = byAction('ask');
+  const skipped = byAction('skip');
+  let pending = [];
+  if (normalVideos.length > 0 && skipNormalVideos) {
+    skipped.push(...normalVideos);
+  } else if (normalVideos.length > 0 && process.stdin.isTTY) {
+    const picked = await pickNormalVideos(normalVideos);
+    toDownload.push(...normalVideos.filter((item) => picked.has(item)));
+    skipped.push(...normalVideos.filter((item) => !picked.has(item)));
+  } else {
+    pending = normalVideos;
+  }
+
+  for (const { video, channel, settings } of toDownload) {
+    await queueGrabbedVideo(db, video, channel?.id ?? null, settings.targetFormats, 'queued');
+  }
+  for (const { video, channel, settings } of pending) {
+    await queueGrabbedVideo(db, video, channel?.id ?? null, settings.targetFormats, 'pending');
+  }
+  for (const { video, channel } of skipped) {
+    await skipGrabbedVideo(db, video, channel?.id ?? null);
+  }
+
+  console.log(chalk.cyan(`\n${videos.length} video(s): ${toDownload.length} to download, ${pending.length} waiting for approval, ${skipped.length} skipped, ${byAction('known').length} already known.`));
+  if (toDownload.length > 0) {
+    await processJobQueue(db, null, { videoIds: toDownload.map(({ video }) => video.id) });
+    if (FEED_SETTINGS.enabled) await writeFeeds(db);
+  }
+  if (failed.length > 0) throw new Error(`Could not fetch ${failed.length} of ${urls.length} URL(s).`);
+}
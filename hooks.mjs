@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Outgoing notifications for run events, set up with HOOKS in
+ * config.mjs. A url hook gets the event as a JSON POST, a command hook runs a
+ * local command with the event as JSON on stdin. Hooks are sent in the
+ * background, so a slow or unreachable endpoint never holds up the downloads,
+ * and failed deliveries are retried as HOOK_SETTINGS says.
+ */
+
+import { spawn } from 'child_process';
+import chalk from 'chalk';
+
+import { HOOK_SETTINGS, HOOKS } from './config.mjs';
+import { logEvent } from './logging.mjs';
+
+// Every event, with the message sent along with it.
+const EVENT_MESSAGES = {
+  run_started: (data) => `Checking ${data.channels.length} channel(s).`,
+  channel_checked: (data) => `${data.url}: ${data.found} new video(s), ${data.queued} queued.`,
+  channel_fetch_failed: (data) => `Could not fetch ${data.url}: ${data.error}`,
+  video_downloaded: (data) => `Downloaded "${data.title}".`,
+  video_failed: (data) => `Could not download "${data.title}"${data.will_retry ? ', will retry' : ''}: ${data.error}`,
+  run_finished: (data) => `Run ${data.status}: ${data.downloaded} downloaded, ${data.failed} failed, ${data.pruned} pruned, ${data.errors.length} error(s).`,
+};
+
+export const HOOK_EVENTS = Object.keys(EVENT_MESSAGES);
+
+// What a hook is sent when it does not list its events.
+const DEFAULT_EVENTS = ['channel_fetch_failed', 'video_downloaded', 'video_failed', 'run_finished'];
+
+let enabled = true;
+
+/**
+ * Checks HOOKS at startup.
+ * @throws {Error} Naming the hook to fix.
+ */
+export function validateHooks() {
+  HOOKS.forEach((hook, index) => {
+    const name = `HOOKS[${index}]`;
+    if (Boolean(hook.url) === Boolean(hook.command)) {
+      throw new Error(`${name} needs either a url or a command.`);
+    }
+    if (hook.url && !/^https?:\/\//i.test(hook.url)) {
+      throw new Error(`${name} url must start with http:// or https://: ${hook.url}`);
+    }
+    const unknown = (hook.events ?? []).find((event) => !HOOK_EVENTS.includes(event));
+    if (unknown) {
+      throw new Error(`${name} has an unknown event: ${unknown}. Available: ${HOOK_EVENTS.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Turns the hooks off, e.g. for a dry run. Events are still logged.
+ */
+export function disableHooks() {
+  enabled = false;
+}
+
+// POSTs the payload, treating anything but a 2xx answer as a failure.
+async function postHook(hook, body, timeout) {
+  const response = await fetch(hook.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...hook.headers },
+    body,
+    signal: AbortSignal.timeout(timeout),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+}
+
+// Runs the command in a shell with the payload on stdin, killing it after the timeout.
+function runHookCommand(hook, body, payload, timeout) {
+  return new Promise((resolve, reject) => {
+    // In its own process group, so whatever the shell started is killed along with it.
+    const child = spawn(hook.command, {
+      shell: true,
+      detached: process.platform !== 'win32',
+      windowsHide: true,
+      stdio: ['pipe', 'ignore', 'pipe'],
+      env: { ...process.env, SHORTSTASH_EVENT: payload.event, SHORTSTASH_MESSAGE: payload.message },
+    });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        child.kill('SIGKILL');
+      }
+    }, timeout);
+    let error = '';
+    child.stderr.on('data', (data) => (error += data.toString()));
+    // A command that does not read its stdin closes it early.
+    child.stdin.on('error', () => {});
+    child.stdin.end(body);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) return reject(new Error(`timed out after ${timeout / 1000}s`));
+      if (code !== 0) return reject(new Error(`exited with code ${code}${error ? `: ${error.trim().split('\n').pop()}` : ''}`));
+      resolve();
+    });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Delivers an event to one hook, retrying failed attempts. Never throws.
+ * @param {object} hook - An entry of HOOKS.
+ * @param {object} payload - The event.
+ */
+async function deliver(hook, payload) {
+  const body = JSON.stringify(payload);
+  const timeout = HOOK_SETTINGS.timeout_seconds * 1000;
+  for (let attempt = 0; attempt <= HOOK_SETTINGS.retries; attempt++) {
+    if (attempt > 0) {
+      await new Promise((resolve) => setTimeout(resolve, HOOK_SETTINGS.retry_delay_seconds * 1000));
+    }
+    try {
+      await (hook.url ? postHook(hook, body, timeout) : runHookCommand(hook, body, payload, timeout));
+      return;
+    } catch (error) {
+      if (attempt < HOOK_SETTINGS.retries) continue;
+      const target = hook.url ?? hook.command;
+      console.error(chalk.yellow(`⚠ Could not send ${payload.event} to ${target}: ${error.message}`));
+      logEvent('hook_failed', { target, hook_event: payload.event, error: error.message });
+    }
+  }
+}
+
+/**
+ * Reports a run event: writes it to the JSON log (see logging.mjs) and sends it
+ * to every hook that listens for it.
+ * @param {string} event - One of HOOK_EVENTS.
+ * @param {object} data - The details, merged into the payload.
+ */
+export function emitEvent(event, data) {
+  logEvent(event, data);
+  if (!enabled) return;
+  const hooks = HOOKS.filter((hook) => (hook.events ?? DEFAULT_EVENTS).includes(event));
+  if (hooks.length === 0) return;
+  const payload = { event, time: new Date().toISOString(), message: EVENT_MESSAGES[event](data), ...data };
+  hooks.forEach((hook) => deliver(hook, payload));
+}
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Persistent download job queue backed by the `jobs` table.
+ * Every video that should be downloaded gets a job. Jobs move through the states
+ * queued -> downloading -> transcoding -> done, or to failed, in which case they
+ * are retried with exponential backoff on later runs until JOB_RETRY_SETTINGS
+ * gives up on them. Normal videos found by unattended runs start out as pending
+ * and only join the queue once they are approved (see approvals.mjs).
+ */
+
+import chalk from 'chalk';
+
+import { JOB_RETRY_SETTINGS } from './config.mjs';
+import { toStoredPath } from './paths.mjs';
+
+export const JOB_STATES = ['pending', 'queued', 'downloading', 'transcoding', 'done', 'failed'];
+
+// The metadata fields a job needs to download and name a video later on.
+const VIDEO_INFO_FIELDS = [
+  'id', 'title', 'channel', 'upload_date', 'webpage_url', 'duration', 'width', 'height',
+];
+
+/**
+ * Keeps only the metadata fields a job needs, the full yt-dlp output is huge.
+ * @param {object} video - The video metadata object from yt-dlp.
+ * @returns {object}
+ */
+function pickVideoInfo(video) {
+  return Object.fromEntries(VIDEO_INFO_FIELDS.map((field) => [field, video[field] ?? null]));
+}
+
+/**
+ * Adds a download job for a video. A video only ever has one job.
+ * @param {object} db - The database instance.
+ * @param {object} video - The video metadata object.
+ * @param {number|null} channelId - The id of the channel it belongs to.
+ * @param {string[]} targetFormats - The FORMAT_PRESETS keys to convert to, one rendition each.
+ * @param {string} [state] - 'queued', or 'pending' for a video waiting for approval.
+ */
+export async function enqueueJob(db, video, channelId, targetFormats, state = 'queued') {
+  await db.run(
+    'INSERT OR IGNORE INTO jobs(video_id, channel_id, target_format, video_info, state) VALUES(?, ?, ?, ?, ?)',
+    video.id, channelId, targetFormats.join(','), JSON.stringify(pickVideoInfo(video)), state
+  );
+}
+
+/**
+ * Queues a finished video again to make renditions it does not have yet.
+ * The existing job is reused, as a video only ever has one.
+ * @param {object} db - The database instance.
+ * @param {object} video - The video metadata object.
+ * @param {number|null} channelId - The id of the channel it belongs to.
+ * @param {string[]} targetFormats - The FORMAT_PRESETS keys of the missing renditions.
+ */
+export async function requeueJob(db, video, channelId, targetFormats) {
+  await db.run(`
+    INSERT INTO jobs(video_id, channel_id, target_format, video_info) VALUES(?, ?, ?, ?)
+    ON CONFLICT (video_id) DO UPDATE SET
+      target_format = excluded.target_format, state = 'queued', attempts = 0,
+      last_error = NULL, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+  `, video.id, channelId, targetFormats.join(','), JSON.stringify(pickVideoInfo(video)));
+}
+
+/**
+ * Puts jobs that were interrupted by SIGINT or a crash back in the queue.
+ * Only call this on startup, before any job is being worked on.
+ * @param {object} db - The database instance.
+ * @returns {Promise<number>} The number of jobs that were resumed.
+ */
+export async function resumeInterruptedJobs(db) {
+  const { changes } = await db.run(`
+    UPDATE jobs SET state = 'queued', updated_at = CURRENT_TIMESTAMP
+    WHERE state IN ('downloading', 'transcoding')
+  `);
+  return changes;
+}
+
+/**
+ * Returns the queued jobs plus the failed jobs whose backoff has expired.
+ * @param {object} db - The database instance.
+ * @returns {Promise<object[]>} The job rows, with video_info parsed and target_formats as a list.
+ */
+export async function getDueJobs(db) {
+  const jobs = await db.all(`
+    SELECT * FROM jobs
+    WHERE state = 'queued'
+       OR (state = 'failed' AND next_attempt_at IS NOT NULL AND next_attempt_at <= datetime('now'))
+    ORDER BY created_at, id
+  `);
+  return jobs.map((job) => ({
+    ...job,
+    video_info: JSON.parse(job.video_info),
+    target_formats: job.target_format.split(','),
+  }));
+}
+
+/**
+ * Moves a job to a new state while it is being worked on.
+ * @param {object} db - The database instance.
+ * @param {number} jobId - The job id.
+ * @param {string} state - One of JOB_STATES.
+ */
+export async function setJobState(db, jobId, state) {
+  await db.run('UPDATE jobs SET state = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', state, jobId);
+}
+
+/**
+ * Marks a job as done, records its renditions and marks the video as downloaded.
+ * The first rendition of a video becomes its main file (videos.file_path), whose
+ * size, duration and checksum are recorded for `verify`.
+ * @param {object} db - The database instance.
+ * @param {object} job - The job row.
+ * @param {{preset: string, file: string, size: number, duration: number|null, checksum: string}[]} outputs
+ *   The produced files, as absolute paths.
+ */
+export async function completeJob(db, job, outputs) {
+  await db.run(`
+    UPDATE jobs SET state = 'done', last_error = NULL, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, job.id);
+  for (const { preset, file } of outputs) {
+    await db.run(`
+      INSERT INTO renditions(video_id, preset, file_path) VALUES(?, ?, ?)
+      ON CONFLICT (video_id, preset) DO UPDATE SET file_path = excluded.file_path, created_at = CURRENT_TIMESTAMP
+    `, job.video_id, preset, toStoredPath(file));
+  }
+  await db.run(`
+    UPDATE videos SET status = 'downloaded', file_path = COALESCE(file_path, ?),
+      downloaded_at = CASE WHEN status = 'downloaded' THEN downloaded_at ELSE CURRENT_TIMESTAMP END
+    WHERE id = ?
+  `, toStoredPath(outputs[0].file), job.video_id);
+
+  const { file_path: mainPath } = await db.get('SELECT file_path FROM videos WHERE id = ?', job.video_id);
+  const main = outputs.find(({ file }) => toStoredPath(file) === mainPath);
+  if (main) {
+    await db.run('UPDATE videos SET size = ?, duration = ?, checksum = ? WHERE id = ?',
+      main.size, main.duration, main.checksum, job.video_id);
+  }
+}
+
+/**
+ * Records a failed attempt and schedules the next one with exponential backoff.
+ * Once max_attempts is reached the job stays failed until `jobs retry`.
+ * @param {object} db - The database instance.
+ * @param {object} job - The job row.
+ * @param {Error} error - The error that made the attempt fail.
+ * @returns {Promise<boolean>} Whether the job will be retried automatically.
+ */
+export async function failJob(db, job, error) {
+  const attempts = job.attempts + 1;
+  const willRetry = attempts < JOB_RETRY_SETTINGS.max_attempts;
+  const delayMinutes = JOB_RETRY_SETTINGS.base_delay_minutes * 2 ** (attempts - 1);
+
+  await db.run(`
+    UPDATE jobs SET
+      state = 'failed',
+      attempts = ?,
+      last_error = ?,
+      next_attempt_at = CASE WHEN ? THEN datetime('now', ?) ELSE NULL END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, attempts, error.message, willRetry ? 1 : 0, `+${delayMinutes} minutes`, job.id);
+
+  // A video that was downloaded before keeps its status if a later rendition fails.
+  if (!willRetry) {
+    await db.run("UPDATE videos SET status = 'failed' WHERE id = ? AND status != 'downloaded'", job.video_id);
+  }
+  return willRetry;
+}
+
+/**
+ * Prints the jobs that are not done yet, or every job with `jobs list all`.
+ * @param {object} db - The database instance.
+ * @param {string} [filter] - 'all' or one of JOB_STATES.
+ */
+export async function listJobs(db, filter) {
+  if (filter && filter !== 'all' && !JOB_STATES.includes(filter)) {
+    throw new Error(`Unknown job state: ${filter}. Use all or one of ${JOB_STATES.join(', ')}.`);
+  }
+
+  let jobs;
+  if (filter === 'all') {
+    jobs = await db.all('SELECT * FROM jobs ORDER BY id');
+  } else if (filter) {
+    jobs = await db.all('SELECT * FROM jobs WHERE state = ? ORDER BY id', filter);
+  } else {
+    jobs = await db.all("SELECT * FROM jobs WHERE state != 'done' ORDER BY id");
+  }
+
+  if (jobs.length === 0) {
+    console.log(chalk.green('No jobs to show.'));
+    return;
+  }
+
+  const stateColors = { pending: chalk.yellow, queued: chalk.blue, downloading: chalk.cyan, transcoding: chalk.cyan, done: chalk.green, failed: chalk.red };
+  for (const job of jobs) {
+    const { title } = JSON.parse(job.video_info);
+    console.log(`${chalk.cyan(`#${job.id}`)} [${stateColors[job.state](job.state)}] ${title} ${chalk.grey(`(${job.video_id}, ${job.target_format})`)}`);
+    if (job.state === 'failed') {
+      const next = job.next_attempt_at ? `next attempt after ${job.next_attempt_at} UTC` : 'gave up, use `jobs retry`';
+      console.log(chalk.grey(`    attempts: ${job.attempts} | ${next}`));
+      if (job.last_error) {
+        console.log(chalk.grey(`    error: ${job.last_error.trim().split('\n').pop()}`));
+      }
+    }
+  }
+}
+
+/**
+ * Puts failed jobs back in the queue with a fresh attempt count.
+ * @param {object} db - The database instance.
+ * @param {string} ref - A job id, or 'all' for every failed job.
+ */
+export async function retryJobs(db, ref) {
+  if (!ref) throw new Error('Please provide a job id, or all.');
+
+  const jobs = ref === 'all'
+    ? await db.all("SELECT * FROM jobs WHERE state = 'failed'")
+    : await db.all("SELECT * FROM jobs WHERE state = 'failed' AND id = ?", Number(ref));
+
+  if (jobs.length === 0) {
+    throw new Error(ref === 'all' ? 'There are no failed jobs.' : `No failed job found with id ${ref}.`);
+  }
+
+  for (const job of jobs) {
+    await db.run(`
+      UPDATE jobs SET state = 'queued', attempts = 0, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, job.id);
+    await db.run("UPDATE videos SET status = 'queued' WHERE id = ? AND status != 'downloaded'", job.video_id);
+  }
+  console.log(chalk.green(`✅ Re-queued ${jobs.length} job(s). They will be processed on the next run.`));
+}
+
+/**
+ * Entry point for `shortstash jobs [list [all|state] | retry <id|all>]`.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The positional arguments after `jobs`.
+ */
+export async function runJobsCommand(db, args) {
+  const [action = 'list', ref] = args;
+
+  switch (action) {
+    case 'list':
+      return listJobs(db, ref);
+    case 'retry':
+      return retryJobs(db, ref);
+    default:
+      throw new Error(`Unknown jobs action: ${action}. Use list or retry.`);
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Machine-readable logs. With --log-format json every event is
+ * appended to LOG_SETTINGS.file as one JSON object per line, e.g.
+ * {"time":"2025-01-01T08:00:00.000Z","event":"video_downloaded","video_id":"..."}.
+ * The console output stays as it is. Writes are synchronous, so events are never
+ * reordered or lost when the process exits right after a run.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, renameSync, statSync, unlinkSync } from 'fs';
+import { dirname } from 'path';
+import chalk from 'chalk';
+
+import { LOG_SETTINGS } from './config.mjs';
+import { resolveConfigPath } from './paths.mjs';
+
+export const LOG_FORMATS = ['text', 'json'];
+
+const LOG_FILE = resolveConfigPath(LOG_SETTINGS.file);
+
+let enabled = false;
+let currentSize = 0;
+
+/**
+ * Starts writing events to the log file.
+ * @param {string} format - One of LOG_FORMATS.
+ */
+export function setLogFormat(format) {
+  enabled = format === 'json';
+  if (!enabled) return;
+  mkdirSync(dirname(LOG_FILE), { recursive: true });
+  currentSize = existsSync(LOG_FILE) ? statSync(LOG_FILE).size : 0;
+}
+
+/**
+ * Whether events are written, i.e. --log-format json was given.
+ * @returns {boolean}
+ */
+export function isJsonLogging() {
+  return enabled;
+}
+
+// shortstash.log becomes shortstash.log.1, .1 becomes .2 and so on, the oldest is dropped.
+function rotateLogFile() {
+  const maxFiles = LOG_SETTINGS.max_files;
+  if (existsSync(`${LOG_FILE}.${maxFiles}`)) unlinkSync(`${LOG_FILE}.${maxFiles}`);
+  for (let index = maxFiles - 1; index >= 1; index--) {
+    if (existsSync(`${LOG_FILE}.${index}`)) renameSync(`${LOG_FILE}.${index}`, `${LOG_FILE}.${index + 1}`);
+  }
+  if (maxFiles > 0) {
+    renameSync(LOG_FILE, `${LOG_FILE}.1`);
+  } else {
+    unlinkSync(LOG_FILE);
+  }
+  currentSize = 0;
+}
+
+/**
+ * Writes an event to the log file. Does nothing unless --log-format json was given.
+ * @param {string} event - What happened, e.g. 'run_started' or 'video_failed'.
+ * @param {object} [data] - The details, merged into the event.
+ */
+export function logEvent(event, data = {}) {
+  if (!enabled) return;
+  const line = `${JSON.stringify({ time: new Date().toISOString(), event, ...data })}\n`;
+  const size = Buffer.byteLength(line);
+  try {
+    if (currentSize > 0 && currentSize + size > LOG_SETTINGS.max_size_mb * 1024 * 1024) {
+      rotateLogFile();
+    }
+    appendFileSync(LOG_FILE, line);
+    currentSize += size;
+  } catch (error) {
+    // A full disk should not stop the downloads, the runs table still has the history.
+    enabled = false;
+    console.error(chalk.red(`❌ Could not write to ${LOG_FILE}, JSON logging is turned off: ${error.message}`));
+  }
+}
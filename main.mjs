@@ -1,11 +1,8 @@
-import { spawn } from 'child_process';
 import { randomUUID } from 'crypto';
+import { existsSync } from 'fs';
 import { unlink, mkdir } from 'fs/promises';
-import { join } from 'path';
-import cliProgress from 'cli-progress';
-import ora from 'ora';
+import { dirname, extname, join } from 'path';
 import chalk from 'chalk';
-import cron from 'node-cron';
 import inquirer from 'inquirer';
 import figlet from 'figlet';
 
@@ -13,148 +10,443 @@ import figlet from 'figlet';
 import { dbPromise } from './database.mjs';
 import {
   BROWSER,
-  CHANNELS_TO_CHECK,
-  DOWNLOAD_AFTER_DATE,
-  VIDEOS_TO_INSPECT,
+  MAX_VIDEOS_TO_INSPECT,
   ENABLE_SCHEDULER,
+  FEED_SETTINGS,
+  KEEP_SOURCE_FILES,
+  SERVER_SETTINGS,
   TARGET_FORMAT,
-  VIDEO_SETTINGS,
 } from './config.mjs';
-import { FORMAT_PRESETS } from './formats.mjs';
+import { FORMAT_PRESETS, buildFfmpegArgs, toFormatList, validateFormatPresets } from './formats.mjs';
+import { runCommand } from './exec.mjs';
+import { limits } from './pool.mjs';
+import {
+  OUTPUT_ROOT,
+  getChannelDir,
+  releaseOutputPaths,
+  resolveOutputPaths,
+  toStoredPath,
+  validateOutputTemplate,
+} from './paths.mjs';
+import { buildTagArgs, fetchSubtitles, getMetadataNeeds, removeTemporarySidecars, writeSidecars } from './metadata.mjs';
+import { runFeedsCommand, writeFeeds } from './feeds.mjs';
+import { runSyncCommand } from './sync.mjs';
+import { runRenderCommand } from './renditions.mjs';
+import { runApproveCommand } from './approvals.mjs';
+import { hashFile, inspectMediaFile, runVerifyCommand } from './verify.mjs';
+import { applyRetention, runPruneCommand } from './retention.mjs';
+import { LOG_FORMATS, setLogFormat } from './logging.mjs';
+import { disableHooks, emitEvent, validateHooks } from './hooks.mjs';
+import { runGrabCommand } from './grab.mjs';
+import { runExportCommand, runImportCommand } from './transfer.mjs';
+import {
+  addRunError,
+  finishRun,
+  markInterruptedRuns,
+  runHistoryCommand,
+  startRun,
+  summarizeError,
+} from './runs.mjs';
+import { classifyVideo, describeOutcome, validateFilterRules } from './filters.mjs';
+import {
+  findChannelsWithMissedRuns,
+  getChannelSchedule,
+  startSchedules,
+  validateSchedule,
+} from './schedule.mjs';
+import { createProgressDisplay } from './progress.mjs';
+import { startServer } from './server.mjs';
+import {
+  checkChannelFormats,
+  resolveChannelSettings,
+  resolveLanguages,
+  runChannelsCommand,
+  seedChannelsFromConfig,
+  validateLanguageSettings,
+} from './channels.mjs';
+import {
+  completeJob,
+  enqueueJob,
+  failJob,
+  getDueJobs,
+  resumeInterruptedJobs,
+  runJobsCommand,
+  setJobState,
+} from './jobs.mjs';
+
+// --- 1. Argument Parsing ---
+const GLOBAL_FLAGS = ['--skip-videos', '--reset-config', '--dry-run', '--help'];
+// Flags that take a value, as `--flag value` or `--flag=value`, with the values they
+// accept, or what the value is. --db and --output-folder are applied in paths.mjs.
+const VALUE_FLAGS = {
+  '--log-format': LOG_FORMATS,
+  '--db': 'path',
+  '--output-folder': 'path',
+};
+
+// Subcommands. Running without one starts the downloader/scheduler as before.
+const COMMANDS = {
+  channels: {
+    usage: 'channels [list | add <url> | pause|resume|remove <id|url> | set <id|url> <setting> <value> | unset <id|url> <setting>]',
+    run: runChannelsCommand,
+  },
+  jobs: {
+    usage: 'jobs [list [all|queued|failed|...] | retry <id|all>]',
+    run: runJobsCommand,
+  },
+  feeds: {
+    usage: 'feeds',
+    run: runFeedsCommand,
+  },
+  sync: {
+    usage: 'sync <mountpoint>',
+    run: runSyncCommand,
+  },
+  render: {
+    usage: 'render [<id|url> [preset,...]]',
+    run: (db, args) => runRenderCommand(db, args, { processJobQueue }),
+  },
+  approve: {
+    usage: 'approve [list | all | <video id...> | reject <all|video id...>]',
+    run: runApproveCommand,
+  },
+  verify: {
+    usage: 'verify [requeue] [import-orphans | remove-orphans]',
+    run: runVerifyCommand,
+  },
+  prune: {
+    usage: 'prune [--dry-run]',
+    run: (db, args) => runPruneCommand(db, args, { dryRun: DRY_RUN }),
+  },
+  history: {
+    usage: 'history [count | show <id>]',
+    run: runHistoryCommand,
+  },
+  import: {
+    usage: 'import archive <file> | folder <path> | channels <file.opml|file.json> | history <file.json|file.csv>',
+    run: runImportCommand,
+  },
+  export: {
+    usage: 'export channels [opml|json] [file] | history <csv|json> [file]',
+    run: runExportCommand,
+  },
+  grab: {
+    usage: 'grab <url|file...> [--dry-run]',
+    run: (db, args) => runGrabCommand(db, args, { processJobQueue, dryRun: DRY_RUN, skipNormalVideos: SKIP_NORMAL_VIDEOS }),
+  },
+};
 
-// --- 1. Argument Validation ---
-const ALLOWED_FLAGS = ['--skip-videos', '--reset-config'];
-const providedArgs = process.argv.slice(2);
+/**
+ * Splits the command line into a subcommand, its positional arguments, flags and
+ * the values of VALUE_FLAGS.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {{command: string|null, positionals: string[], flags: string[], values: object}}
+ */
+function parseArgs(argv) {
+  const parsed = { command: null, positionals: [], flags: [], values: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    // Skip flags that are Node.js-specific
+    if (arg.startsWith('--no-') || arg.startsWith('--trace-')) continue;
+    const [name, inlineValue] = arg.split(/=(.*)/s);
+    if (VALUE_FLAGS[name]) {
+      parsed.values[name] = inlineValue ?? argv[++i];
+    } else if (arg.startsWith('-')) {
+      parsed.flags.push(arg);
+    } else if (!parsed.command) {
+      parsed.command = arg;
+    } else {
+      parsed.positionals.push(arg);
+    }
+  }
+  return parsed;
+}
 
-// Filter for flags that are NOT Node.js-specific before validating them
-const appFlags = providedArgs.filter(arg => 
-    arg.startsWith('-') && !arg.startsWith('--no-') && !arg.startsWith('--trace-')
-);
+function printUsage() {
+  console.log(chalk.yellow('Usage: shortstash [command] [flags]'));
+  console.log(chalk.yellow('Commands:'));
+  Object.values(COMMANDS).forEach(({ usage }) => console.log(chalk.yellow(`  ${usage}`)));
+  const valueFlags = Object.entries(VALUE_FLAGS).map(([flag, values]) => `${flag} <${[values].flat().join('|')}>`);
+  console.log(chalk.yellow(`Flags: ${[...GLOBAL_FLAGS, ...valueFlags].join(', ')}`));
+}
 
-const invalidFlag = appFlags.find(flag => !ALLOWED_FLAGS.includes(flag));
+const ARGS = parseArgs(process.argv.slice(2));
+
+if (ARGS.command && !COMMANDS[ARGS.command]) {
+  console.error(chalk.red(`Error: Unknown command: ${ARGS.command}`));
+  printUsage();
+  process.exit(1);
+}
+
+const invalidFlag = ARGS.flags.find(flag => !GLOBAL_FLAGS.includes(flag));
 
 if (invalidFlag) {
   console.error(chalk.red(`Error: Invalid flag provided: ${invalidFlag}`));
-  console.log(chalk.yellow(`Allowed flags are: ${ALLOWED_FLAGS.join(', ')}`));
+  printUsage();
+  process.exit(1);
+}
+
+const invalidValue = Object.entries(ARGS.values).find(([flag, value]) =>
+  !value || (Array.isArray(VALUE_FLAGS[flag]) && !VALUE_FLAGS[flag].includes(value)));
+
+if (invalidValue) {
+  const [flag, value] = invalidValue;
+  const expected = Array.isArray(VALUE_FLAGS[flag]) ? VALUE_FLAGS[flag].join(' or ') : `${flag} <${VALUE_FLAGS[flag]}>`;
+  console.error(chalk.red(`Error: Invalid value for ${flag}: ${value || '(none)'}. Use ${expected}.`));
+  printUsage();
   process.exit(1);
 }
 
-const SKIP_NORMAL_VIDEOS = providedArgs.includes('--skip-videos');
+setLogFormat(ARGS.values['--log-format'] ?? 'text');
+
+const SKIP_NORMAL_VIDEOS = ARGS.flags.includes('--skip-videos');
+// Check the channels once and print what each filter rule decided, without changing anything.
+const DRY_RUN = ARGS.flags.includes('--dry-run');
+// A dry run changes nothing, so it doesn't notify anyone either.
+if (DRY_RUN) disableHooks();
 
 // ===================================================================
 // --- CORE LOGIC ---
 // ===================================================================
 
+// The state of the current or last run, reported by the dashboard API.
+const runStatus = {
+  running: false,
+  started_at: null,
+  finished_at: null,
+  last_error: null,
+};
+
+// A run requested while another one is in progress: { channelIds } with a Set of
+// ids, or null ids for every active channel. It starts as soon as the current run ends.
+let pendingRun = null;
+
+/**
+ * Starts a run, or queues it behind the current one so runs never overlap.
+ * Requests that arrive during a run are merged into a single follow-up run.
+ * @param {number[]|null} [channelIds] - The channels to check, null for every active channel.
+ */
+async function requestRun(channelIds = null) {
+  if (runStatus.running) {
+    const ids = channelIds && pendingRun?.channelIds !== null
+      ? new Set([...(pendingRun?.channelIds ?? []), ...channelIds])
+      : null;
+    pendingRun = { channelIds: ids };
+    console.log(chalk.yellow('A run is still in progress, the next check will start once it has finished.'));
+    return;
+  }
+
+  await runAutomation(channelIds);
+  while (pendingRun) {
+    const { channelIds: ids } = pendingRun;
+    pendingRun = null;
+    await runAutomation(ids && [...ids]);
+  }
+}
+
 /**
  * The main function that orchestrates the entire process.
+ * Channels are fetched in parallel, new videos are then sorted out one channel at
+ * a time (this may prompt), and finally the download queue is worked through in parallel.
+ * @param {number[]|null} [channelIds] - The channels to check, null for every active channel.
+ *   An empty list only works through the download queue.
+ * @param {object} [options]
+ * @param {boolean} [options.interactive] - Whether to prompt for normal videos. Otherwise
+ *   they wait for approval, as nobody may be there to answer.
  */
-async function runAutomation() {
+async function runAutomation(channelIds = null, { interactive = false } = {}) {
+  // Set before the first await, so requestRun() never starts a second run.
+  runStatus.running = true;
+  runStatus.started_at = new Date().toISOString();
+  runStatus.last_error = null;
   const db = await dbPromise;
+  let run = null;
 
   try {
-    console.log(chalk.blue('Syncing config file with the database...'));
-
-    const configChannels = CHANNELS_TO_CHECK;
-    const dbChannels = await db.all('SELECT * FROM channels');
-
-    // 1. Add new channels from config to the DB or reactivate them.
-    for (const url of configChannels) {
-      // This will add the channel if it's new, or do nothing if it exists.
-      await db.run('INSERT OR IGNORE INTO channels(url) VALUES(?)', url);
-      // Ensure the channel is marked as active.
-      await db.run('UPDATE channels SET is_active = 1 WHERE url = ?', url);
+    // Channels are managed with `shortstash channels`, so only read the active ones.
+    const activeChannels = await db.all('SELECT * FROM channels WHERE is_active = 1');
+    const channelsToProcess = channelIds
+      ? activeChannels.filter((channel) => channelIds.includes(channel.id))
+      : activeChannels;
+    if (channelIds?.length !== 0) {
+      console.log(chalk.magenta(`Found ${channelsToProcess.length} active channel(s) to check.`));
+    }
+    run = await startRun(db, channelsToProcess, { record: !DRY_RUN });
+    emitEvent('run_started', { run_id: run.id, channels: run.channels });
+
+    const display = createProgressDisplay();
+    const results = await Promise.all(channelsToProcess.map(async (channel) => {
+      const settings = await resolveChannelSettings(db, channel);
+      const fetchErrors = [];
+      const newVideos = await fetchChannelVideos(db, channel, settings, display, fetchErrors);
+      return { channel, settings, fetched: { newVideos, fetchErrors } };
+    }));
+    display.stop();
+
+    for (const { channel, settings, fetched } of results) {
+      console.log(
+        chalk.cyan(`\n--- Results for channel: ${channel.url} ---`)
+      );
+      await processChannel(db, channel, settings, fetched, interactive, run);
+      if (!DRY_RUN) {
+        await db.run('UPDATE channels SET last_checked_at = CURRENT_TIMESTAMP WHERE id = ?', channel.id);
+      }
     }
 
-    // 2. Deactivate channels that are no longer in the config.
-    const channelsToDeactivate = dbChannels.filter(
-      (dbChannel) => !configChannels.includes(dbChannel.url)
-    );
-
-    for (const channel of channelsToDeactivate) {
-      console.log(chalk.yellow(`Deactivating channel (data retained): ${channel.url}`));
-      await db.run('UPDATE channels SET is_active = 0 WHERE id = ?', channel.id);
+    if (DRY_RUN) {
+      await applyRetention(db, { dryRun: true });
+      console.log(chalk.green('\nDry run completed, nothing was downloaded or recorded.'));
+      emitEvent('run_finished', await finishRun(db, run));
+      return;
     }
 
-    // 3. Get only the active channels to process.
-    const channelsToProcess = await db.all('SELECT * FROM channels WHERE is_active = 1');
-    console.log(chalk.magenta(`Found ${channelsToProcess.length} active channel(s) to check.`));
+    await processJobQueue(db, run);
 
-    for (const channel of channelsToProcess) {
-      console.log(
-        chalk.cyan(`\n--- Starting check for channel: ${channel.url} ---`)
-      );
-      await processChannel(db, channel);
+    // Before the feeds are written, so they don't list deleted files.
+    run.pruned = await applyRetention(db).catch((error) => {
+      console.error(chalk.red('❌ Could not apply the retention rules:'), error.message);
+      addRunError(run, 'Retention', error);
+      return 0;
+    });
+
+    if (FEED_SETTINGS.enabled) {
+      await writeFeeds(db).catch((error) => {
+        console.error(chalk.red('❌ Could not write the podcast feeds:'), error.message);
+        addRunError(run, 'Podcast feeds', error);
+      });
     }
 
-    console.log(chalk.green('\nAutomation run completed for all channels.'));
+    console.log(chalk.green(`\nAutomation run completed for ${channelIds ? `${channelsToProcess.length} channel(s)` : 'all channels'}.`));
+    emitEvent('run_finished', await finishRun(db, run));
   } catch (error) {
     console.error(chalk.red('❌ A fatal error occurred:'), error.message);
+    runStatus.last_error = error.message;
+    if (run) {
+      const summary = await finishRun(db, run, error).catch(() => null);
+      if (summary) emitEvent('run_finished', summary);
+    }
   } finally {
-    if (!ENABLE_SCHEDULER) {
+    runStatus.running = false;
+    runStatus.finished_at = new Date().toISOString();
+    // The dashboard keeps the process (and the database) alive after a one-time run.
+    if (DRY_RUN || (!ENABLE_SCHEDULER && !SERVER_SETTINGS.enabled)) {
       await db.close();
     }
   }
 }
 
 /**
- * Processes a single channel by checking both its /videos and /shorts tabs.
+ * Checks both the /videos and /shorts tabs of a channel for new videos.
  * @param {object} db - The database instance.
  * @param {object} channel - The channel object from the database.
+ * @param {object} settings - The channel's resolved settings.
+ * @param {object} display - The progress display to report to.
+ * @param {{url: string, error: string}[]} fetchErrors - The tabs that could not be fetched are added to it.
+ * @returns {Promise<object[]>} The new videos, newest first.
  */
-async function processChannel(db, channel) {
-  console.log(chalk.blue('Checking both /videos and /shorts tabs...'));
+async function fetchChannelVideos(db, channel, settings, display, fetchErrors) {
   const videosTabUrl = `${channel.url}/videos`;
   const shortsTabUrl = `${channel.url}/shorts`;
 
   const [videosResult, shortsResult] = await Promise.all([
-    findNewVideos(videosTabUrl, DOWNLOAD_AFTER_DATE, channel.last_video_id),
-    findNewVideos(shortsTabUrl, DOWNLOAD_AFTER_DATE, channel.last_video_id),
+    findNewVideos(db, videosTabUrl, settings.downloadAfterDate, settings.videosToInspect, display, fetchErrors),
+    findNewVideos(db, shortsTabUrl, settings.downloadAfterDate, settings.videosToInspect, display, fetchErrors),
   ]);
 
   const uniqueVideos = new Map();
-  const combinedResults = [
-    ...videosResult.shorts, ...shortsResult.shorts,
-    ...videosResult.normalVideos, ...shortsResult.normalVideos,
-  ];
-  for (const video of combinedResults) {
+  for (const video of [...videosResult, ...shortsResult]) {
     if (video) uniqueVideos.set(video.id, video);
   }
 
-  if (uniqueVideos.size === 0) {
+  return Array.from(uniqueVideos.values()).sort((a, b) => b.upload_date.localeCompare(a.upload_date));
+}
+
+/**
+ * Sorts the new videos of a channel with its filter rules: queues the ones to
+ * download, asks about (or skips) the ones to ask about, and records the rest as skipped.
+ * Unattended runs leave the ones to ask about pending approval instead of prompting.
+ * With --dry-run it only prints what each rule decided.
+ * @param {object} db - The database instance.
+ * @param {object} channel - The channel object from the database.
+ * @param {object} settings - The channel's resolved settings.
+ * @param {{newVideos: object[], fetchErrors: object[]}} fetched - The new videos found by
+ *   fetchChannelVideos(), newest first, and the tabs it could not fetch.
+ * @param {boolean} interactive - Whether the user can be prompted.
+ * @param {object} run - The run from startRun(), the videos and errors are counted on it.
+ */
+async function processChannel(db, channel, settings, { newVideos, fetchErrors }, interactive, run) {
+  for (const { url, error } of fetchErrors) {
+    addRunError(run, `Fetching ${url}`, error);
+    emitEvent('channel_fetch_failed', { run_id: run.id, channel_id: channel.id, url, error });
+  }
+
+  const counts = { found: newVideos.length, queued: 0, skipped: 0, pending: 0 };
+  await sortNewVideos(db, channel, settings, newVideos, interactive, counts);
+  run.found += counts.found;
+  run.skipped += counts.skipped;
+  run.pending += counts.pending;
+  emitEvent('channel_checked', { run_id: run.id, channel_id: channel.id, url: channel.url, ...counts });
+}
+
+/**
+ * The part of processChannel() that decides on each video.
+ * @param {object} db - The database instance.
+ * @param {object} channel - The channel object from the database.
+ * @param {object} settings - The channel's resolved settings.
+ * @param {object[]} newVideos - The new videos, newest first.
+ * @param {boolean} interactive - Whether the user can be prompted.
+ * @param {{queued: number, skipped: number, pending: number}} counts - Updated with what was decided.
+ */
+async function sortNewVideos(db, channel, settings, newVideos, interactive, counts) {
+  if (newVideos.length === 0) {
     console.log(chalk.green('No new videos found on either tab for this channel.'));
     return;
   }
 
-  const sortedVideos = Array.from(uniqueVideos.values()).sort((a, b) => b.upload_date.localeCompare(a.upload_date));
-  const lastIdIndex = channel.last_video_id ? sortedVideos.findIndex(v => v.id === channel.last_video_id) : -1;
-  const newVideos = lastIdIndex !== -1 ? sortedVideos.slice(0, lastIdIndex) : sortedVideos;
-  
-  if (newVideos.length === 0) {
-    console.log(chalk.green('No new videos found since last check.'));
+  const outcomes = newVideos.map((video) => ({ video, ...classifyVideo(video, settings.filterRules) }));
+  if (DRY_RUN) {
+    const colors = { download: chalk.green, ask: chalk.yellow, skip: chalk.grey };
+    for (const outcome of outcomes) {
+      console.log(`${colors[outcome.action](`[${outcome.action}]`.padEnd(10))} ${outcome.video.title} ${chalk.grey(`(${describeOutcome(outcome)})`)}`);
+    }
     return;
   }
 
-  const shorts = newVideos.filter(v => v.duration < 181 && v.width < v.height);
-  const normalVideos = newVideos.filter(v => !(v.duration < 181 && v.width < v.height));
+  const byAction = (action) => outcomes.filter((o) => o.action === action).map((o) => o.video);
+  const toDownload = byAction('download');
+  const normalVideos = byAction('ask');
+  const skipped = byAction('skip');
   let newLatestId = newVideos[0].id;
-
-  if (shorts.length > 0) {
-    console.log(chalk.cyan(`\nFound ${shorts.length} new short(s). Processing automatically...`));
-    for (const video of shorts) {
-      await downloadAndProcessVideo(video);
-      await db.run('INSERT OR IGNORE INTO videos(id, title, channel_id, upload_date) VALUES(?, ?, ?, ?)', video.id, video.title, channel.id, video.upload_date);
+  // Remember the channel's name, it is also the name of its output folder.
+  const channelName = newVideos.find((v) => v.channel)?.channel;
+  if (toDownload.length > 0) {
+    console.log(chalk.cyan(`\nFound ${toDownload.length} new video(s) to download. Queued for download.`));
+    for (const video of toDownload) {
+      await queueDownload(db, video, channel.id, settings.targetFormats);
     }
+    counts.queued += toDownload.length;
   }
-
-  let skipNormalVideos;
-  if (ENABLE_SCHEDULER) {
-    const normalVideoMode = (await db.get("SELECT value FROM settings WHERE key = 'normal_video_mode'")).value;
-    skipNormalVideos = normalVideoMode === 'skip';
-  } else {
-    skipNormalVideos = SKIP_NORMAL_VIDEOS;
+  if (skipped.length > 0) {
+    console.log(chalk.grey(`Skipping ${skipped.length} new video(s) as per the filter rules.`));
+    for (const video of skipped) {
+      await recordVideo(db, video, channel.id, 'skipped');
+    }
+    counts.skipped += skipped.length;
   }
 
-  if (normalVideos.length > 0 && !skipNormalVideos) {
+  // The flag applies to every channel, a per-channel 'skip' only to its own. The
+  // global saved setting is the default of unattended runs.
+  const normalVideoMode = interactive ? channel.normal_video_mode : settings.normalVideoMode;
+  const skipNormalVideos = SKIP_NORMAL_VIDEOS || normalVideoMode === 'skip';
+
+  if (normalVideos.length > 0 && !skipNormalVideos && !interactive) {
+    console.log(chalk.yellow(`\nFound ${normalVideos.length} new normal video(s), waiting for approval. Pick them with \`shortstash approve\` or on the dashboard.`));
+    for (const video of normalVideos) {
+      await recordVideo(db, video, channel.id, 'pending');
+      await enqueueJob(db, video, channel.id, settings.targetFormats, 'pending');
+    }
+    counts.pending += normalVideos.length;
+  } else if (normalVideos.length > 0 && !skipNormalVideos) {
     console.log(chalk.yellow(`\nFound ${normalVideos.length} new normal video(s).`));
     const { count } = await inquirer.prompt([
       {
@@ -166,6 +458,7 @@ async function processChannel(db, channel) {
       },
     ]);
     const videosToShow = normalVideos.slice(0, parseInt(count));
+    let picked = 0;
     if (videosToShow.length > 0) {
       const { videosToDownload } = await inquirer.prompt([
         {
@@ -181,97 +474,320 @@ async function processChannel(db, channel) {
       ]);
       if (videosToDownload.length > 0) {
         for (const video of videosToDownload) {
-          await downloadAndProcessVideo(video);
-          await db.run('INSERT OR IGNORE INTO videos(id, title, channel_id, upload_date) VALUES(?, ?, ?, ?)', video.id, video.title, channel.id, video.upload_date);
+          await queueDownload(db, video, channel.id, settings.targetFormats);
         }
       }
+      picked = videosToDownload.length;
+    }
+    // Whatever was not picked has been declined, so don't offer it again.
+    for (const video of normalVideos) {
+      await recordVideo(db, video, channel.id, 'skipped');
     }
+    counts.queued += picked;
+    counts.skipped += normalVideos.length - picked;
   } else if (normalVideos.length > 0 && skipNormalVideos) {
-    const reason = ENABLE_SCHEDULER ? 'saved setting' : '--skip-videos flag';
+    const reason = SKIP_NORMAL_VIDEOS ? '--skip-videos flag' : 'saved setting';
     console.log(chalk.grey(`Skipping ${normalVideos.length} new normal video(s) as per ${reason}.`));
+    for (const video of normalVideos) {
+      await recordVideo(db, video, channel.id, 'skipped');
+    }
+    counts.skipped += normalVideos.length;
   }
 
   if (newLatestId) {
-    await db.run('UPDATE channels SET last_video_id = ? WHERE id = ?', newLatestId, channel.id);
+    await db.run(
+      'UPDATE channels SET last_video_id = ?, name = COALESCE(?, name) WHERE id = ?',
+      newLatestId, channelName, channel.id
+    );
     console.log(chalk.green(`\nCache updated for channel. New latest video ID: ${newLatestId}`));
   }
 }
-/*
- * Fetches and separates new videos from a specific channel tab.
- * @returns {Promise<{shorts: object[], normalVideos: object[]}>}
+/**
+ * Fetches the new videos from a specific channel tab. The tab is paged
+ * through until a video already in the videos table, a video older than the
+ * cutoff date, or the MAX_VIDEOS_TO_INSPECT cap is reached, so nothing posted
+ * between two runs is missed.
+ * @param {object} db - The database instance.
+ * @param {string} channelUrl - The URL of the tab to fetch.
+ * @param {string} afterDate - Only videos uploaded on or after this YYYYMMDD date are kept.
+ * @param {number} pageSize - How many videos to fetch per request.
+ * @param {object} display - The progress display to report to.
+ * @param {{url: string, error: string}[]} fetchErrors - A failed fetch is added to it.
+ * @returns {Promise<object[]>} The new videos, to be sorted out by the filter rules.
  */
-async function findNewVideos(channelUrl, afterDate, lastVideoId) {
-  const spinner = ora(chalk.yellow(`Fetching data from ${channelUrl}...`)).start();
-  let videos;
+async function findNewVideos(db, channelUrl, afterDate, pageSize, display, fetchErrors) {
+  const task = display.startTask(channelUrl, 'waiting', { showBar: false });
+  const allFoundVideos = [];
+  let inspected = 0;
+  let reachedKnownVideo = false;
+
   try {
-    const args = [
-      '--cookies-from-browser', BROWSER,
-      '--playlist-items', `1-${VIDEOS_TO_INSPECT}`,
-      // Add extractor args to ensure consistent data format
-      '--extractor-args', 'youtube:player_client=web',
-      '--dump-single-json', channelUrl,
-    ];
-    const jsonOutput = await runCommand('yt-dlp', args);
-    videos = JSON.parse(jsonOutput)?.entries;
-    spinner.succeed(chalk.green(`Fetched data for ${videos?.length || 0} videos from ${channelUrl}.`));
-  } catch (error) {
-    spinner.fail(chalk.red(`Failed to fetch video list from ${channelUrl}.`));
-    return { shorts: [], normalVideos: [] };
-  }
+    while (inspected < MAX_VIDEOS_TO_INSPECT) {
+      const first = inspected + 1;
+      const last = Math.min(inspected + pageSize, MAX_VIDEOS_TO_INSPECT);
+      let entries;
+      try {
+        const args = [
+          '--cookies-from-browser', BROWSER,
+          '--playlist-items', `${first}-${last}`,
+          // Add extractor args to ensure consistent data format
+          '--extractor-args', 'youtube:player_client=web',
+          '--dump-single-json', channelUrl,
+        ];
+        const jsonOutput = await limits.metadata(() => {
+          task.setStage(`fetching ${first}-${last}`);
+          return runCommand('yt-dlp', args);
+        });
+        entries = JSON.parse(jsonOutput)?.entries || [];
+      } catch (error) {
+        // Whatever was not recorded is found again on the next run, so keep what we have.
+        display.log(chalk.red(`✖ Failed to fetch video list from ${channelUrl}.`));
+        fetchErrors.push({ url: channelUrl, error: summarizeError(error) });
+        return allFoundVideos;
+      }
 
-  if (!videos || videos.length === 0) return { shorts: [], normalVideos: [] };
+      inspected += entries.length;
+      const videos = entries.filter(Boolean);
+      const knownIds = await findKnownVideoIds(db, videos.map((v) => v.id));
+      let reachedCutoff = false;
+      for (const video of videos) {
+        if (knownIds.has(video.id)) {
+          reachedKnownVideo = true;
+          continue;
+        }
+        if (!video.upload_date) continue;
+        if (video.upload_date < afterDate) {
+          reachedCutoff = true;
+          continue;
+        }
+        allFoundVideos.push(video);
+      }
 
-  const allFoundVideos = [];
-  for (const video of videos) {
-    if (!video || !video.upload_date || video.upload_date < afterDate) {
-      continue;
+      // A short page means the end of the tab.
+      if (reachedKnownVideo || reachedCutoff || entries.length < last - first + 1) {
+        display.log(chalk.green(`✔ Inspected ${inspected} videos, ${allFoundVideos.length} new, from ${channelUrl}.`));
+        return allFoundVideos;
+      }
     }
-    allFoundVideos.push(video);
+
+    display.log(chalk.yellow(
+      `⚠ Reached the limit of ${MAX_VIDEOS_TO_INSPECT} videos on ${channelUrl} without finding a known video. Older videos were not checked.`
+    ));
+    return allFoundVideos;
+  } finally {
+    task.finish();
   }
+}
 
-  const shorts = allFoundVideos.filter(v => v.duration < 181 && v.width < v.height);
-  const normalVideos = allFoundVideos.filter(v => !(v.duration < 181 && v.width < v.height));
-  
-  return { shorts, normalVideos };
+/**
+ * Returns which of the given video ids are already in the videos table.
+ * @param {object} db - The database instance.
+ * @param {string[]} ids - The video ids to look up.
+ * @returns {Promise<Set<string>>}
+ */
+async function findKnownVideoIds(db, ids) {
+  if (ids.length === 0) return new Set();
+  const placeholders = ids.map(() => '?').join(', ');
+  const rows = await db.all(`SELECT id FROM videos WHERE id IN (${placeholders})`, ...ids);
+  return new Set(rows.map((row) => row.id));
 }
 
+/**
+ * Records a video so later runs never offer or download it again.
+ * @param {object} db - The database instance.
+ * @param {object} video - The video metadata object.
+ * @param {number} channelId - The id of the channel it belongs to.
+ * @param {string} status - 'queued', 'pending' or 'skipped'.
+ */
+async function recordVideo(db, video, channelId, status) {
+  await db.run(
+    'INSERT OR IGNORE INTO videos(id, title, channel_id, upload_date, status) VALUES(?, ?, ?, ?, ?)',
+    video.id, video.title, channelId, video.upload_date, status
+  );
+}
+
+/**
+ * Records a video as queued and adds a download job for it.
+ * @param {object} db - The database instance.
+ * @param {object} video - The video metadata object.
+ * @param {number} channelId - The id of the channel it belongs to.
+ * @param {string[]} targetFormats - The FORMAT_PRESETS keys to convert to.
+ */
+async function queueDownload(db, video, channelId, targetFormats) {
+  await recordVideo(db, video, channelId, 'queued');
+  await enqueueJob(db, video, channelId, targetFormats);
+}
+
+/**
+ * Works through every due job: new downloads, and failed ones whose backoff expired.
+ * Jobs run side by side, bounded by the download and transcode limits.
+ * @param {object} db - The database instance.
+ * @param {object} [run] - The run from startRun(), downloads and failures are counted on it.
+ * @param {object} [options]
+ * @param {string[]} [options.videoIds] - Only work through the jobs of these videos.
+ */
+async function processJobQueue(db, run = null, { videoIds = null } = {}) {
+  const jobs = (await getDueJobs(db)).filter((job) => !videoIds || videoIds.includes(job.video_id));
+  if (jobs.length === 0) return;
+
+  console.log(chalk.cyan(`\nProcessing ${jobs.length} queued download(s)...`));
+  const display = createProgressDisplay();
+  await Promise.all(jobs.map(async (job) => {
+    const videoInfo = job.video_info;
+    try {
+      const channel = job.channel_id === null ? null : await db.get('SELECT * FROM channels WHERE id = ?', job.channel_id);
+      const outputs = await downloadAndProcessVideo(db, videoInfo, job.target_formats, {
+        languages: resolveLanguages(channel),
+        display,
+        onStage: (state) => setJobState(db, job.id, state),
+      });
+      await completeJob(db, job, outputs);
+      if (run) run.downloaded++;
+      emitEvent('video_downloaded', {
+        run_id: run?.id ?? null,
+        video_id: videoInfo.id,
+        title: videoInfo.title,
+        channel: videoInfo.channel,
+        url: videoInfo.webpage_url,
+        files: outputs.map((output) => ({ preset: output.preset, file: toStoredPath(output.file), size: output.size })),
+      });
+    } catch (error) {
+      display.log(chalk.red(`❌ An error occurred while processing "${videoInfo.title}": ${error.message}`));
+      const willRetry = await failJob(db, job, error);
+      if (run) {
+        run.failed++;
+        addRunError(run, `"${videoInfo.title}"`, error);
+      }
+      emitEvent('video_failed', {
+        run_id: run?.id ?? null,
+        video_id: videoInfo.id,
+        title: videoInfo.title,
+        channel: videoInfo.channel,
+        url: videoInfo.webpage_url,
+        error: summarizeError(error),
+        will_retry: willRetry,
+      });
+      display.log(chalk.yellow(willRetry
+        ? '   The download will be retried on a later run.'
+        : '   Giving up on this download. Use `shortstash jobs retry` to try again.'));
+    }
+  }));
+  display.stop();
+}
 
 /**
- * Downloads, processes, and saves a single video, ensuring English audio.
+ * Downloads a single video once and makes every requested rendition of it, in the
+ * channel's audio language and with its subtitles burned in if it asks for that.
+ * Errors are thrown so the job queue can retry the video later.
+ * With KEEP_SOURCE_FILES the streams are kept, and reused instead of downloaded next time.
+ * The files are saved where OUTPUT_TEMPLATE says, and the presets decide which
+ * sidecars are written and what is embedded in each file.
+ * @param {object} db - The database instance.
  * @param {object} videoInfo - The metadata object for the video.
+ * @param {string[]} targetFormats - The FORMAT_PRESETS keys to convert to.
+ * @param {object} options
+ * @param {{audio: string[], burnSubtitles: string|null}} options.languages - From resolveLanguages().
+ * @param {object} options.display - The progress display to report to.
+ * @param {function(string): Promise<void>} options.onStage - Called with 'downloading' and 'transcoding'.
+ * @returns {Promise<object[]>} The produced files, as absolute paths, with their size, duration and checksum.
  */
-async function downloadAndProcessVideo(videoInfo) {
+async function downloadAndProcessVideo(db, videoInfo, targetFormats, { languages, display, onStage }) {
   const tempId = randomUUID();
-  const tempVideoFile = `temp_video_${tempId}.mp4`;
-  const tempAudioFile = `temp_audio_${tempId}.m4a`;
+  const sourceDir = join(getChannelDir(videoInfo.channel), '.sources');
+  const videoFile = join(KEEP_SOURCE_FILES ? sourceDir : OUTPUT_ROOT, KEEP_SOURCE_FILES ? `${videoInfo.id}.video.mp4` : `temp_video_${tempId}.mp4`);
+  const audioFile = join(KEEP_SOURCE_FILES ? sourceDir : OUTPUT_ROOT, KEEP_SOURCE_FILES ? `${videoInfo.id}.audio.m4a` : `temp_audio_${tempId}.m4a`);
+  let task;
+  let temporarySidecars = [];
   try {
-    const sanitizedTitle = videoInfo.title.replace(/[^a-zA-Z0-9]/g, '_');
-    const channelDir = join(process.cwd(), videoInfo.channel || 'Unknown_Channel');
-    await mkdir(channelDir, { recursive: true });
-    const outputPath = join(channelDir, sanitizedTitle);
-
-    // --- NEW: Define format selectors to prioritize English ---
-    // Best video (bv) in English (lang=en) + Best audio (ba) in English (lang=en)
-    // Fallback to any language if English is not available.
-    const videoFormatSelector = 'bv*[lang=en] / bv';
-    const audioFormatSelector = 'ba*[lang=en] / ba';
-
-    console.log(chalk.blue(`\nProcessing: "${videoInfo.title}"`));
-    const multibar = new cliProgress.MultiBar({ format: ' {bar} | {filename} | {value}/{total}%' }, cliProgress.Presets.shades_classic);
-    const videoBar = multibar.create(100, 0, { filename: 'video.mp4' });
-    const audioBar = multibar.create(100, 0, { filename: 'audio.m4a' });
-
-    await Promise.all([
-      downloadFormat(videoInfo.webpage_url, videoFormatSelector, tempVideoFile, (p) => videoBar.update(p)),
-      downloadFormat(videoInfo.webpage_url, audioFormatSelector, tempAudioFile, (p) => audioBar.update(p)),
-    ]);
-    multibar.stop();
-    await processFile(tempVideoFile, tempAudioFile, outputPath);
-  } catch (error) {
-    console.error(chalk.red(`❌ An error occurred while processing "${videoInfo.title}":`), error.message);
+    const unknown = targetFormats.find((name) => !FORMAT_PRESETS[name]);
+    if (unknown) throw new Error(`Unknown format preset: ${unknown}`);
+    const renditions = targetFormats.map((name) => ({ name, preset: FORMAT_PRESETS[name] }));
+    const outputs = await resolveOutputPaths(db, videoInfo, renditions);
+    for (const dir of new Set([...outputs.map(({ file }) => dirname(file)), ...(KEEP_SOURCE_FILES ? [sourceDir] : [])])) {
+      await mkdir(dir, { recursive: true });
+    }
+    // Sidecars are named after the first file.
+    const sidecarPath = outputs[0].file.slice(0, -extname(outputs[0].file).length);
+
+    // Best video (bv) and best audio (ba) in the first of the languages the video
+    // has, falling back to the default ones. ^= also matches regional codes.
+    const videoFormatSelector = [...languages.audio.map((language) => `bv*[language^=${language}]`), 'bv'].join(' / ');
+    const audioFormatSelector = [...languages.audio.map((language) => `ba*[language^=${language}]`), 'ba'].join(' / ');
+
+    // Audio presets only need the audio stream, unless the streams are kept for later.
+    const needsVideo = KEEP_SOURCE_FILES || renditions.some(({ preset }) => preset.type === 'video');
+    const streams = [];
+    if (!existsSync(audioFile)) {
+      streams.push({ selector: audioFormatSelector, file: audioFile, progress: 0 });
+    }
+    if (needsVideo && !existsSync(videoFile)) {
+      streams.push({ selector: videoFormatSelector, file: videoFile, progress: 0 });
+    }
+
+    if (streams.length > 0) {
+      await limits.downloads(async () => {
+        task = display.startTask(videoInfo.title, 'downloading');
+        await onStage('downloading');
+        // The streams share one bar, each counts for an equal part of it.
+        const onProgress = (stream) => (p) => {
+          stream.progress = p;
+          task.update(streams.reduce((total, s) => total + s.progress, 0) / streams.length);
+        };
+        await Promise.all(streams.map((stream) =>
+          downloadFormat(videoInfo.webpage_url, stream.selector, stream.file, onProgress(stream))
+        ));
+      });
+    } else {
+      task = display.startTask(videoInfo.title, 'using kept source', { showBar: false });
+    }
+
+    const needs = getMetadataNeeds(renditions);
+    let cover = null;
+    if (needs.sidecars.size > 0 || needs.cover) {
+      task.setStage('fetching metadata');
+      const sidecars = await limits.downloads(() => writeSidecars(videoInfo, sidecarPath, needs, (message) => display.log(chalk.yellow(`⚠️ ${message}`))));
+      cover = sidecars.thumbnail;
+      temporarySidecars = sidecars.temporary;
+    }
+
+    let subtitles = null;
+    if (languages.burnSubtitles && renditions.some(({ preset }) => preset.type === 'video')) {
+      task.setStage('fetching subtitles');
+      try {
+        const fetched = await limits.downloads(() => fetchSubtitles(videoInfo, join(OUTPUT_ROOT, `temp_subs_${tempId}`), languages.burnSubtitles));
+        subtitles = fetched.file;
+        temporarySidecars.push(...fetched.temporary);
+        if (!subtitles) display.log(chalk.yellow(`⚠️ "${videoInfo.title}" has no ${languages.burnSubtitles} subtitles, converting it without.`));
+      } catch (error) {
+        display.log(chalk.yellow(`⚠️ Could not fetch the subtitles of "${videoInfo.title}", converting it without: ${summarizeError(error)}`));
+      }
+    }
+
+    task.setStage('waiting for ffmpeg');
+    return await limits.transcodes(async () => {
+      task.setStage(`converting to ${targetFormats.join(', ')}`);
+      await onStage('transcoding');
+      await processFile(videoFile, audioFile, outputs, renditions, { videoInfo, cover, subtitles });
+      // ffmpeg can exit cleanly and still leave a truncated or empty file behind.
+      for (const output of outputs) {
+        const { size, duration, problem } = await inspectMediaFile(output.file, {
+          type: FORMAT_PRESETS[output.preset].type,
+          duration: videoInfo.duration,
+        });
+        if (problem) throw new Error(`Converting to ${output.preset} failed: ${problem}.`);
+        Object.assign(output, { size, duration, checksum: await hashFile(output.file) });
+      }
+      outputs.forEach(({ file }) => display.log(chalk.green(`✅ Success! File saved as ${file}`)));
+      return outputs;
+    });
   } finally {
-    await unlink(tempVideoFile).catch(() => {});
-    await unlink(tempAudioFile).catch(() => {});
+    task?.finish();
+    releaseOutputPaths(videoInfo.id);
+    await removeTemporarySidecars(temporarySidecars);
+    if (!KEEP_SOURCE_FILES) {
+      await unlink(videoFile).catch(() => {});
+      await unlink(audioFile).catch(() => {});
+    }
   }
 }
 
@@ -279,52 +795,53 @@ async function downloadAndProcessVideo(videoInfo) {
 // --- UTILITY & FFMPEG HELPERS ---
 // ===================================================================
 
-async function processFile(videoPath, audioPath, outputPath) {
-  const format = FORMAT_PRESETS[TARGET_FORMAT] || FORMAT_PRESETS.mp4;
-  const finalOutputFile = `${outputPath}.${format.extension}`;
-  console.log(chalk.blue(`Processing to ${TARGET_FORMAT.toUpperCase()} format...`));
-  const args = ['-y', '-i', videoPath, '-i', audioPath];
-  if (TARGET_FORMAT !== 'mp3' && TARGET_FORMAT !== 'mp4' && TARGET_FORMAT !== 'mkv') {
-    args.push('-vf', `scale=${VIDEO_SETTINGS.scale}`, '-r', VIDEO_SETTINGS.frame_rate);
-  }
-  args.push(...format.ffmpeg_args, finalOutputFile);
-  await runCommand('ffmpeg', args);
-  console.log(chalk.green(`✅ Success! File saved as ${finalOutputFile}`));
-  return finalOutputFile;
-}
-
-function runCommand(command, args) {
-  return new Promise((resolve, reject) => {
-    const process = spawn(command, args);
-    let output = '';
-    let error = '';
-    process.stdout.on('data', (data) => (output += data.toString()));
-    process.stderr.on('data', (data) => (error += data.toString()));
-    process.on('close', (code) => {
-      if (code !== 0) return reject(new Error(`Command failed with code ${code}:\n${error}`));
-      resolve(output);
-    });
-    process.on('error', (err) => reject(err));
+/**
+ * Makes every rendition with a single ffmpeg run, so the streams are only decoded once.
+ * Each output maps its streams explicitly, as the cover picture is an input too.
+ * @param {string} videoPath - The downloaded video stream.
+ * @param {string} audioPath - The downloaded audio stream.
+ * @param {{preset: string, file: string}[]} outputs - The output file of each rendition.
+ * @param {{name: string, preset: object}[]} renditions - The presets to convert to.
+ * @param {object} metadata
+ * @param {object} metadata.videoInfo - The metadata object for the video, for the tags.
+ * @param {string|null} metadata.cover - The thumbnail to embed as cover art, if any.
+ * @param {string|null} metadata.subtitles - The subtitles to burn into the video renditions, if any.
+ */
+async function processFile(videoPath, audioPath, outputs, renditions, { videoInfo, cover, subtitles }) {
+  const args = ['-y'];
+  const inputs = [];
+  if (renditions.some(({ preset }) => preset.type === 'video')) inputs.push(videoPath);
+  inputs.push(audioPath);
+  const withCover = renditions.filter(({ preset }) => preset.embed_cover && cover);
+  if (withCover.length > 0) inputs.push(cover);
+  inputs.forEach((input) => args.push('-i', input));
+
+  renditions.forEach((rendition, i) => {
+    const { preset } = rendition;
+    const hasCover = withCover.includes(rendition);
+    if (preset.type === 'video') args.push('-map', `${inputs.indexOf(videoPath)}:v:0`);
+    args.push('-map', `${inputs.indexOf(audioPath)}:a:0`);
+    args.push(...buildFfmpegArgs(preset, { cover: hasCover, subtitles }));
+    if (hasCover) {
+      // The picture comes after the video stream, if there is one, and is copied as is.
+      const stream = preset.type === 'video' ? 1 : 0;
+      args.push('-map', `${inputs.indexOf(cover)}:v:0`, `-c:v:${stream}`, 'copy', `-disposition:v:${stream}`, 'attached_pic');
+    }
+    if (preset.embed_metadata) args.push(...buildTagArgs(videoInfo));
+    args.push(outputs[i].file);
   });
+  await runCommand('ffmpeg', args);
 }
 
 async function downloadFormat(url, formatId, outputFilename, onProgress) {
-  return new Promise((resolve, reject) => {
-    const args = ['--cookies-from-browser', BROWSER, '--progress', '-f', formatId, url, '-o', outputFilename];
-    const process = spawn('yt-dlp', args);
-    let error = '';
-    process.stdout.on('data', (data) => {
-      const match = data.toString().match(/\[download\]\s+([0-9\.]+)%/);
+  const args = ['--cookies-from-browser', BROWSER, '--progress', '-f', formatId, url, '-o', outputFilename];
+  await runCommand('yt-dlp', args, {
+    onOutput: (data) => {
+      const match = data.match(/\[download\]\s+([0-9\.]+)%/);
       if (match && match[1]) onProgress(parseFloat(match[1]));
-    });
-    process.stderr.on('data', (data) => (error += data.toString()));
-    process.on('close', (code) => {
-      if (code !== 0) return reject(new Error(`Command failed: ${error}`));
-      onProgress(100);
-      resolve();
-    });
-    process.on('error', (err) => reject(err));
+    },
   });
+  onProgress(100);
 }
 
 /**
@@ -334,7 +851,10 @@ async function downloadFormat(url, formatId, outputFilename, onProgress) {
 async function configureNormalVideoMode(db) {
   const setting = await db.get("SELECT value FROM settings WHERE key = 'normal_video_mode'");
   
-  if (setting.value === 'prompt') {
+  if (setting.value === 'prompt' && !process.stdin.isTTY) {
+    // Nobody can answer, normal videos wait for approval until the mode is chosen.
+    console.log(chalk.yellow('Normal video mode not configured yet, new normal videos will wait for approval.'));
+  } else if (setting.value === 'prompt') {
     console.log(chalk.yellow('🔧 One-time setup required!'));
     const { mode } = await inquirer.prompt([
       {
@@ -342,7 +862,7 @@ async function configureNormalVideoMode(db) {
         name: 'mode',
         message: 'How should the scheduler handle normal (non-short) videos by default?',
         choices: [
-          { name: chalk.green('Always ask which ones to download'), value: 'ask' },
+          { name: chalk.green('Keep them for approval (shortstash approve or the dashboard)'), value: 'ask' },
           { name: chalk.yellow('Always skip them automatically'), value: 'skip' },
         ],
       },
@@ -356,31 +876,6 @@ async function configureNormalVideoMode(db) {
 // --- START SCRIPT ---
 // ===================================================================
 
-/**
- * Calculates the next scheduled run time based on the hardcoded schedule.
- * @returns {string} The formatted string for the next run date.
- */
-function calculateNextRunTime() {
-  const now = new Date();
-  const today8AM = new Date();
-  today8AM.setHours(8, 0, 0, 0); // Set to 8:00:00.000 today
-
-  const today8PM = new Date();
-  today8PM.setHours(20, 0, 0, 0); // Set to 20:00:00.000 today
-
-  if (now < today8AM) {
-    return today8AM.toLocaleString();
-  } else if (now < today8PM) {
-    return today8PM.toLocaleString();
-  } else {
-    // If it's past 8 PM, the next run is 8 AM tomorrow
-    const tomorrow8AM = new Date();
-    tomorrow8AM.setDate(now.getDate() + 1);
-    tomorrow8AM.setHours(8, 0, 0, 0);
-    return tomorrow8AM.toLocaleString();
-  }
-}
-
 /**
  * The main entry point for the application.
  */
@@ -398,7 +893,8 @@ async function startApp() {
   console.log('\n' + '-'.repeat(50) + '\n');
   
   const db = await dbPromise;
-  process.stdout.write('\x1b]2;ShortStash\x07');
+  // Set the terminal title, but keep escape codes out of redirected output.
+  if (process.stdout.isTTY) process.stdout.write('\x1b]2;ShortStash\x07');
   // --- Graceful Shutdown Handler ---
   const cleanup = async () => {
     console.log(chalk.yellow('\nShutting down gracefully...'));
@@ -410,36 +906,109 @@ async function startApp() {
   process.on('SIGTERM', cleanup);
   
   // --- Argument Validation & Handling ---
-  const providedArgs = process.argv.slice(2);
-  const RESET_CONFIG = providedArgs.includes('--reset-config');
+  const RESET_CONFIG = ARGS.flags.includes('--reset-config');
 
   if (RESET_CONFIG) {
     await db.run("UPDATE settings SET value = 'prompt' WHERE key = 'normal_video_mode'");
     console.log(chalk.green('Configuration has been reset. You will be prompted to choose a new setting.'));
   }
 
+  await seedChannelsFromConfig(db);
+
+  try {
+    validateFormatPresets();
+    validateFilterRules();
+    validateSchedule();
+    validateOutputTemplate();
+    validateHooks();
+    validateLanguageSettings();
+    await checkChannelFormats(db);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    await db.close();
+    process.exit(1);
+  }
+
+  if (DRY_RUN) {
+    console.log(chalk.yellow('Dry run: checking every channel once, nothing will be downloaded or recorded...'));
+    return runAutomation();
+  }
+
+  await markInterruptedRuns(db);
+  const resumedJobs = await resumeInterruptedJobs(db);
+  if (resumedJobs > 0) {
+    console.log(chalk.yellow(`Resuming ${resumedJobs} download(s) interrupted on the last run.`));
+  }
+
   // --- Main Logic ---
+  if (SERVER_SETTINGS.enabled) {
+    startServer(db, { runAutomation: () => requestRun(), getRunStatus: () => ({ ...runStatus }) });
+  }
+
   if (ENABLE_SCHEDULER) {
     await configureNormalVideoMode(db);
-    
-    const schedule = '0 8,20 * * *';
-    cron.schedule(schedule, () => {
+
+    const schedules = await startSchedules(db, (channelIds) => {
       console.log(chalk.bgGreen.black('\n-- Running scheduled check... --'));
-      runAutomation();
+      requestRun(channelIds);
     });
-    
-    const nextRun = calculateNextRunTime();
-    
+
     console.log(chalk.cyan('✅ Scheduler is active.'));
-    console.log(chalk.green(`   Next check scheduled for: ${nextRun}`));
+    for (const { expression, task } of schedules) {
+      console.log(chalk.green(`   Next check for '${expression}' scheduled for: ${task.getNextRun()?.toLocaleString() ?? '-'}`));
+    }
+    const activeChannels = await db.all('SELECT * FROM channels WHERE is_active = 1');
     console.log(chalk.magenta('   Watching Channels:'));
-    CHANNELS_TO_CHECK.forEach(url => console.log(chalk.magenta(`     - ${url}`)));
-    console.log(chalk.magenta(`   Target Format: ${TARGET_FORMAT.toUpperCase()}`));
+    activeChannels.forEach((channel) => {
+      const schedule = channel.schedule ? chalk.grey(` (${getChannelSchedule(channel)})`) : '';
+      console.log(chalk.magenta(`     - ${channel.url}${schedule}`));
+    });
+    console.log(chalk.magenta(`   Target Format: ${toFormatList(TARGET_FORMAT).join(', ').toUpperCase()}`));
+
+    // Catch up on checks missed while ShortStash was not running, e.g. while the
+    // machine was asleep. This also works through interrupted downloads.
+    const missed = await findChannelsWithMissedRuns(db);
+    if (missed.length > 0) {
+      console.log(chalk.bgGreen.black(`\n-- Catching up on ${missed.length} channel(s) that missed a scheduled check... --`));
+      requestRun(missed.map((channel) => channel.id));
+    } else if (resumedJobs > 0) {
+      // Don't leave interrupted downloads waiting for the next scheduled slot.
+      requestRun([]);
+    }
 
   } else {
     console.log(chalk.yellow('Scheduler is disabled. Running a one-time check...'));
-    runAutomation();
+    runAutomation(null, { interactive: Boolean(process.stdin.isTTY) });
+  }
+}
+
+/**
+ * Runs a single subcommand against the database and exits.
+ * @param {string} command - The subcommand name, a key of COMMANDS.
+ */
+async function runSubcommand(command) {
+  const db = await dbPromise;
+  try {
+    // Channel overrides are not checked here, so `channels set|unset` can still fix them.
+    validateFormatPresets();
+    validateFilterRules();
+    validateOutputTemplate();
+    validateHooks();
+    validateLanguageSettings();
+    await seedChannelsFromConfig(db);
+    await COMMANDS[command].run(db, ARGS.positionals);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exitCode = 1;
+  } finally {
+    await db.close();
   }
 }
 
-startApp();
\ No newline at end of file
+if (ARGS.flags.includes('--help')) {
+  printUsage();
+} else if (ARGS.command) {
+  runSubcommand(ARGS.command);
+} else {
+  startApp();
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Sidecar files and embedded tags for the downloaded videos.
+ * Which ones are made is set per preset (see formats.mjs). Sidecars are named
+ * after the output file, e.g. Title.info.json, Title.jpg, Title.en.srt and
+ * Title.nfo, so media servers pick them up. They are written once per video,
+ * however many renditions ask for them.
+ */
+
+import { existsSync } from 'fs';
+import { readdir, readFile, unlink, writeFile } from 'fs/promises';
+import { basename, dirname, join } from 'path';
+
+import { BROWSER } from './config.mjs';
+import { runCommand } from './exec.mjs';
+import { escapeXml } from './feeds.mjs';
+
+// The language of the subtitles sidecar.
+const SUBTITLE_LANGUAGE = 'en';
+
+// yt-dlp dates are YYYYMMDD, tags and .nfo files want YYYY-MM-DD.
+function formatDate(uploadDate) {
+  return uploadDate ? `${uploadDate.slice(0, 4)}-${uploadDate.slice(4, 6)}-${uploadDate.slice(6, 8)}` : null;
+}
+
+/**
+ * Returns the sidecar file paths for an output path without extension.
+ * @param {string} outputPath - The output path without extension.
+ * @returns {{info_json: string, thumbnail: string, subtitles: string, nfo: string}}
+ */
+export function getSidecarPaths(outputPath) {
+  return {
+    info_json: `${outputPath}.info.json`,
+    thumbnail: `${outputPath}.jpg`,
+    subtitles: `${outputPath}.${SUBTITLE_LANGUAGE}.srt`,
+    nfo: `${outputPath}.nfo`,
+  };
+}
+
+/**
+ * Collects what the renditions of a video ask for.
+ * @param {{name: string, preset: object}[]} renditions - The presets being made.
+ * @returns {{sidecars: Set<string>, cover: boolean}}
+ */
+export function getMetadataNeeds(renditions) {
+  return {
+    sidecars: new Set(renditions.flatMap(({ preset }) => preset.sidecars ?? [])),
+    cover: renditions.some(({ preset }) => preset.embed_cover),
+  };
+}
+
+/**
+ * Builds the .nfo file Kodi and Jellyfin read, treating the channel as a show.
+ * @param {object} info - yt-dlp's metadata, or the job's video info.
+ * @param {string|null} thumbnailFile - The thumbnail next to it, if there is one.
+ * @returns {string}
+ */
+function renderNfo(info, thumbnailFile) {
+  const date = formatDate(info.upload_date);
+  const lines = [
+    `<title>${escapeXml(info.title)}</title>`,
+    `<showtitle>${escapeXml(info.channel)}</showtitle>`,
+    info.description ? `<plot>${escapeXml(info.description)}</plot>` : null,
+    date ? `<aired>${date}</aired>` : null,
+    date ? `<premiered>${date}</premiered>` : null,
+    date ? `<year>${date.slice(0, 4)}</year>` : null,
+    info.duration ? `<runtime>${Math.max(1, Math.round(info.duration / 60))}</runtime>` : null,
+    `<uniqueid type="youtube" default="true">${escapeXml(info.id)}</uniqueid>`,
+    ...(info.tags ?? []).map((tag) => `<tag>${escapeXml(tag)}</tag>`),
+    thumbnailFile ? `<thumb>${escapeXml(basename(thumbnailFile))}</thumb>` : null,
+  ].filter(Boolean);
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<episodedetails>
+  ${lines.join('\n  ')}
+</episodedetails>
+`;
+}
+
+/**
+ * Writes the sidecars the renditions ask for, and fetches the thumbnail when it
+ * is only needed as cover art. Sidecars that already exist are kept.
+ * A failure is not fatal: the video is still converted, just without them.
+ * @param {object} videoInfo - The metadata object for the video.
+ * @param {string} outputPath - The output path without extension.
+ * @param {{sidecars: Set<string>, cover: boolean}} needs - From getMetadataNeeds().
+ * @param {function(string): void} onWarning - Reports a failure.
+ * @returns {Promise<{thumbnail: string|null, temporary: string[]}>} The thumbnail for
+ *   the cover art, and the files to delete once the renditions are made.
+ */
+export async function writeSidecars(videoInfo, outputPath, { sidecars, cover }, onWarning) {
+  const paths = getSidecarPaths(outputPath);
+  // The .nfo is built from the info.json, and the cover art is the thumbnail.
+  const wanted = new Set(sidecars);
+  if (sidecars.has('nfo')) wanted.add('info_json');
+  if (cover) wanted.add('thumbnail');
+  const missing = [...wanted].filter((type) => !existsSync(paths[type]));
+  // Only delete what is fetched here, a file left by an earlier rendition stays.
+  const temporary = missing.filter((type) => !sidecars.has(type)).map((type) => paths[type]);
+  if (missing.length > 0) {
+    const args = ['--cookies-from-browser', BROWSER, '--skip-download', '--no-progress'];
+    if (missing.includes('info_json')) args.push('--write-info-json');
+    if (missing.includes('thumbnail')) args.push('--write-thumbnail', '--convert-thumbnails', 'jpg');
+    if (missing.includes('subtitles')) {
+      args.push('--write-subs', '--write-auto-subs', '--sub-langs', SUBTITLE_LANGUAGE, '--convert-subs', 'srt');
+    }
+    // '%' starts a field in yt-dlp output templates.
+    args.push('-o', `${outputPath.replace(/%/g, '%%')}.%(ext)s`, videoInfo.webpage_url);
+    try {
+      if (missing.some((type) => type !== 'nfo')) await runCommand('yt-dlp', args);
+      if (missing.includes('nfo')) {
+        const info = existsSync(paths.info_json) ? JSON.parse(await readFile(paths.info_json, 'utf8')) : videoInfo;
+        const thumbnail = sidecars.has('thumbnail') && existsSync(paths.thumbnail) ? paths.thumbnail : null;
+        await writeFile(paths.nfo, renderNfo({ ...videoInfo, ...info }, thumbnail));
+      }
+    } catch (error) {
+      // Not every video has subtitles or a thumbnail, so this is only a warning.
+      onWarning(`Could not write the sidecars of "${videoInfo.title}": ${error.message.trim().split('\n').pop()}`);
+    }
+  }
+
+  return { thumbnail: cover && existsSync(paths.thumbnail) ? paths.thumbnail : null, temporary };
+}
+
+/**
+ * Fetches the subtitles to burn into a video. yt-dlp prefers subtitles made by
+ * hand and falls back to auto-generated ones. Regional variants count too, so
+ * 'es' also finds 'es-419'.
+ * @param {object} videoInfo - The metadata object for the video.
+ * @param {string} outputPath - Where to save them, without extension.
+ * @param {string} language - The language code.
+ * @returns {Promise<{file: string|null, temporary: string[]}>} The SRT file, null if
+ *   the video has no subtitles in the language, and every file fetched.
+ */
+export async function fetchSubtitles(videoInfo, outputPath, language) {
+  await runCommand('yt-dlp', [
+    '--cookies-from-browser', BROWSER, '--skip-download', '--no-progress',
+    '--write-subs', '--write-auto-subs', '--sub-langs', `${language},${language}-.*`, '--convert-subs', 'srt',
+    '-o', `${outputPath.replace(/%/g, '%%')}.%(ext)s`, videoInfo.webpage_url,
+  ]);
+  const prefix = `${basename(outputPath)}.`;
+  const names = (await readdir(dirname(outputPath))).filter((name) => name.startsWith(prefix) && name.endsWith('.srt'));
+  const exact = `${prefix}${language}.srt`;
+  const name = names.includes(exact) ? exact : names.sort()[0];
+  return {
+    file: name ? join(dirname(outputPath), name) : null,
+    temporary: names.map((found) => join(dirname(outputPath), found)),
+  };
+}
+
+/**
+ * Deletes the files writeSidecars() only fetched for its own use.
+ * @param {string[]} files - The temporary files.
+ */
+export async function removeTemporarySidecars(files) {
+  await Promise.all(files.map((file) => unlink(file).catch(() => {})));
+}
+
+/**
+ * Builds the ffmpeg arguments that tag an output with the title, channel and upload date.
+ * @param {object} videoInfo - The metadata object for the video.
+ * @returns {string[]}
+ */
+export function buildTagArgs(videoInfo) {
+  const tags = {
+    title: videoInfo.title,
+    artist: videoInfo.channel,
+    album_artist: videoInfo.channel,
+    date: formatDate(videoInfo.upload_date),
+    comment: videoInfo.webpage_url,
+  };
+  return Object.entries(tags)
+    .filter(([, value]) => value)
+    .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+}
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Where ShortStash keeps its database and output.
+ * Paths stored in the database are relative to OUTPUT_ROOT, so the archive keeps
+ * working if the whole folder is moved. File names come from OUTPUT_TEMPLATE and
+ * are made safe for every filesystem the files may be copied to, including FAT
+ * players and Windows, without losing non-Latin titles.
+ */
+
+import { existsSync } from 'fs';
+import { dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+
+import { DATABASE_FILE, OUTPUT_FOLDER, OUTPUT_TEMPLATE } from './config.mjs';
+
+// The ShortStash folder. Relative paths in config.mjs are resolved against it.
+const APP_DIR = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Resolves a path from config.mjs against the ShortStash folder.
+ * @param {string} path - The path as configured.
+ * @returns {string} The absolute path.
+ */
+export function resolveConfigPath(path) {
+  return resolve(APP_DIR, path);
+}
+
+// Returns the value of a `--flag value` or `--flag=value` argument. main.mjs parses
+// the command line too, but the database is opened before it runs.
+function readFlag(flag) {
+  const args = process.argv.slice(2);
+  const index = args.findIndex((arg) => arg === flag || arg.startsWith(`${flag}=`));
+  if (index === -1) return undefined;
+  return args[index] === flag ? args[index + 1] : args[index].slice(flag.length + 1);
+}
+
+// A flag wins over an environment variable, which wins over config.mjs.
+function resolveLocation(flag, variable, configured) {
+  const given = readFlag(flag) || process.env[variable];
+  return given ? resolve(given) : resolveConfigPath(configured);
+}
+
+// The SQLite database.
+export const DATABASE_PATH = resolveLocation('--db', 'SHORTSTASH_DB', DATABASE_FILE);
+
+// Channel folders are created here.
+export const OUTPUT_ROOT = resolveLocation('--output-folder', 'SHORTSTASH_OUTPUT_FOLDER', OUTPUT_FOLDER);
+
+const TEMPLATE_TOKENS = ['channel', 'title', 'id', 'upload_date', 'year', 'month', 'day', 'preset', 'ext'];
+
+// Characters Windows and FAT don't allow in names.
+const RESERVED_CHARACTERS = /[<>:"/\\|?*]/g;
+// Invisible characters that only make names hard to type: zero-width space,
+// direction marks and overrides, and the byte order mark.
+const INVISIBLE_CHARACTERS = /[\p{Cc}\u200B\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/gu;
+const WINDOWS_DEVICE_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+// Most filesystems allow 255 bytes per name. This leaves room for the extension,
+// sidecar suffixes such as ".info.json" and the " [id]" added on collisions.
+const MAX_NAME_BYTES = 180;
+
+// Output paths handed out to jobs that have not finished yet, so two videos
+// converted side by side never get the same file. Maps the path to the video id,
+// until releaseOutputPaths() is called.
+const claimedPaths = new Map();
+
+/**
+ * Shortens a string to a number of UTF-8 bytes without splitting a character,
+ * including emoji and letters with combining marks.
+ * @param {string} text - The string to shorten.
+ * @param {number} maxBytes - The maximum length in bytes.
+ * @returns {string}
+ */
+function truncateBytes(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) return text;
+  let result = '';
+  for (const { segment } of new Intl.Segmenter().segment(text)) {
+    if (Buffer.byteLength(result + segment) > maxBytes) break;
+    result += segment;
+  }
+  return result;
+}
+
+/**
+ * Turns any text into a safe file or folder name. Letters of every script are
+ * kept; only characters filesystems reject are replaced.
+ * @param {string} text - The text, e.g. a video title.
+ * @param {string} [fallback] - Used when nothing is left.
+ * @returns {string}
+ */
+export function sanitizeName(text, fallback = '_') {
+  let name = String(text ?? '')
+    .normalize('NFC')
+    .replace(INVISIBLE_CHARACTERS, '')
+    .replace(RESERVED_CHARACTERS, '_')
+    .replace(/\s+/g, ' ')
+    // Leading dots hide files, trailing dots and spaces are dropped by Windows.
+    .replace(/^[. ]+/, '');
+  name = truncateBytes(name, MAX_NAME_BYTES).replace(/[. ]+$/, '');
+  if (WINDOWS_DEVICE_NAMES.test(name)) name = `_${name}`;
+  return name || fallback;
+}
+
+/**
+ * Returns the output folder of a channel.
+ * @param {string} channelName - The channel name as reported by yt-dlp.
+ * @returns {string} The absolute folder path.
+ */
+export function getChannelDir(channelName) {
+  return join(OUTPUT_ROOT, sanitizeName(channelName, 'Unknown_Channel'));
+}
+
+/**
+ * Checks OUTPUT_TEMPLATE at startup.
+ * @throws {Error} If it uses an unknown token or would write outside the output folder.
+ */
+export function validateOutputTemplate() {
+  const errors = [];
+  const unknown = [...OUTPUT_TEMPLATE.matchAll(/\{(\w+)\}/g)]
+    .map(([, token]) => token)
+    .filter((token) => !TEMPLATE_TOKENS.includes(token));
+  if (unknown.length > 0) {
+    errors.push(`unknown token(s) ${unknown.map((token) => `{${token}}`).join(', ')}. Available: ${TEMPLATE_TOKENS.map((token) => `{${token}}`).join(', ')}`);
+  }
+  if (!OUTPUT_TEMPLATE.endsWith('.{ext}')) errors.push('it must end with .{ext}');
+  if (isAbsolute(OUTPUT_TEMPLATE) || OUTPUT_TEMPLATE.split(/[/\\]/).includes('..')) {
+    errors.push('it must be relative to the output folder');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid OUTPUT_TEMPLATE "${OUTPUT_TEMPLATE}": ${errors.join(', ')}.`);
+  }
+}
+
+/**
+ * Fills in OUTPUT_TEMPLATE for one rendition of a video.
+ * @param {object} videoInfo - The metadata object for the video.
+ * @param {string} presetName - The FORMAT_PRESETS key.
+ * @param {string} extension - The preset's extension.
+ * @returns {string} The absolute path without the extension.
+ */
+function renderOutputTemplate(videoInfo, presetName, extension) {
+  const date = videoInfo.upload_date || '';
+  const values = {
+    channel: videoInfo.channel || 'Unknown_Channel',
+    title: videoInfo.title,
+    id: videoInfo.id,
+    upload_date: date,
+    year: date.slice(0, 4),
+    month: date.slice(4, 6),
+    day: date.slice(6, 8),
+    preset: presetName,
+    ext: extension,
+  };
+  // A '/' in a title must not create a folder, so tokens can't contain one.
+  const rendered = OUTPUT_TEMPLATE.slice(0, -'.{ext}'.length)
+    .replace(/\{(\w+)\}/g, (match, token) => String(values[token] ?? '').replace(/[/\\]/g, '_'));
+  const segments = rendered.split(/[/\\]/).filter((segment) => segment.trim() !== '');
+  return join(OUTPUT_ROOT, ...segments.map((segment) => sanitizeName(segment)));
+}
+
+/**
+ * Tells whether a file belongs to another video: recorded in the database, or
+ * just there on disk without being one of this video's files.
+ * @param {object} db - The database instance.
+ * @param {string} file - The absolute path.
+ * @param {string} videoId - The video the file is meant for.
+ * @returns {Promise<boolean>}
+ */
+async function isPathTaken(db, file, videoId) {
+  const storedPath = toStoredPath(file);
+  const owner = await db.get(`
+    SELECT video_id FROM renditions WHERE file_path = ?
+    UNION SELECT id FROM videos WHERE file_path = ?
+  `, storedPath, storedPath);
+  if (owner) return owner.video_id !== videoId;
+  return existsSync(file);
+}
+
+/**
+ * Picks the output file of every rendition of a video and claims them, so no other
+ * job writes to them. A name that is already taken gets the video id appended.
+ * Renditions of the same video that share an extension are named after their preset.
+ * @param {object} db - The database instance.
+ * @param {object} videoInfo - The metadata object for the video.
+ * @param {{name: string, preset: object}[]} renditions - The presets to convert to.
+ * @returns {Promise<{preset: string, file: string}[]>} The absolute output paths.
+ */
+export async function resolveOutputPaths(db, videoInfo, renditions) {
+  const files = renditions.map(({ name, preset }) => `${renderOutputTemplate(videoInfo, name, preset.extension)}.${preset.extension}`);
+  const outputs = [];
+  for (const [i, { name, preset }] of renditions.entries()) {
+    const stem = files[i].slice(0, -(preset.extension.length + 1));
+    // Presets with the same extension would overwrite each other, so name those after the preset.
+    const ending = files.indexOf(files[i]) !== files.lastIndexOf(files[i])
+      ? `.${name}.${preset.extension}`
+      : `.${preset.extension}`;
+
+    for (let n = 0; ; n++) {
+      const file = n === 0 ? `${stem}${ending}` : `${stem} [${videoInfo.id}]${n > 1 ? ` (${n})` : ''}${ending}`;
+      const claimedBy = claimedPaths.get(file);
+      if (claimedBy !== undefined && claimedBy !== videoInfo.id) continue;
+      // Another job may claim the file while the database is checked.
+      if (claimedBy === videoInfo.id || (!(await isPathTaken(db, file, videoInfo.id)) && !claimedPaths.has(file))) {
+        claimedPaths.set(file, videoInfo.id);
+        outputs.push({ preset: name, file });
+        break;
+      }
+    }
+  }
+  return outputs;
+}
+
+/**
+ * Gives up the output paths claimed for a video once its job is done with them.
+ * A finished file is then protected by its database row, or by being on disk.
+ * @param {string} videoId - The video the paths were claimed for.
+ */
+export function releaseOutputPaths(videoId) {
+  for (const [file, claimedBy] of claimedPaths) {
+    if (claimedBy === videoId) claimedPaths.delete(file);
+  }
+}
+
+/**
+ * Converts an absolute path inside the output folder to the form stored in the database.
+ * @param {string} absolutePath - The absolute path.
+ * @returns {string} The path relative to OUTPUT_ROOT, always with forward slashes.
+ */
+export function toStoredPath(absolutePath) {
+  return relative(OUTPUT_ROOT, absolutePath).split(sep).join('/');
+}
+
+/**
+ * Resolves a path stored in the database (or taken from a URL) against OUTPUT_ROOT.
+ * @param {string} storedPath - The relative path.
+ * @returns {string|null} The absolute path, or null if it points outside the output folder.
+ */
+export function resolveStoredPath(storedPath) {
+  const absolutePath = isAbsolute(storedPath) ? storedPath : resolve(OUTPUT_ROOT, storedPath);
+  return absolutePath.startsWith(OUTPUT_ROOT + sep) ? absolutePath : null;
+}
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Bounded concurrency limits for the expensive parts of a run.
+ * Each limit is shared by the whole process, so channels and jobs running side
+ * by side never start more yt-dlp or ffmpeg processes than CONCURRENCY allows.
+ */
+
+import { CONCURRENCY } from './config.mjs';
+
+/**
+ * Creates a limiter that runs at most `concurrency` tasks at the same time.
+ * Tasks beyond the limit wait in FIFO order.
+ * @param {number} concurrency - The maximum number of tasks running at once.
+ * @returns {function(function(): Promise<any>): Promise<any>} Runs a task under the limit.
+ */
+export function createLimiter(concurrency) {
+  const waiting = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active++;
+    waiting.shift()();
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push(() => {
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    });
+    next();
+  });
+}
+
+// yt-dlp metadata fetches, stream downloads and ffmpeg transcodes.
+export const limits = {
+  metadata: createLimiter(Math.max(1, CONCURRENCY.metadata)),
+  downloads: createLimiter(Math.max(1, CONCURRENCY.downloads)),
+  transcodes: createLimiter(Math.max(1, CONCURRENCY.transcodes)),
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview A single progress display for concurrent work.
+ * Every running item gets its own line at the bottom of the terminal, and all
+ * messages are printed above those lines so they never interleave with the bars.
+ * When stdout is not a terminal the bars are left out and messages are printed as is.
+ */
+
+import cliProgress from 'cli-progress';
+
+const NAME_WIDTH = 40;
+const STAGE_WIDTH = 18;
+
+function truncate(text, width) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width);
+}
+
+/**
+ * Creates a progress display. Call stop() once all tasks are finished.
+ * @returns {{log: function(string): void, startTask: function(string, string): object, stop: function(): void}}
+ */
+export function createProgressDisplay() {
+  const multibar = process.stdout.isTTY
+    ? new cliProgress.MultiBar({
+      format: ' {bar} | {stage} | {name} | {value}%',
+      hideCursor: true,
+      clearOnComplete: true,
+      autopadding: true,
+    }, cliProgress.Presets.shades_classic)
+    : null;
+
+  // Bars of finished tasks are removed, so clear whatever was drawn below the last one.
+  multibar?.on('redraw-post', () => multibar.terminal.clearBottom());
+
+  /**
+   * Prints a message above the progress bars.
+   * @param {string} message - The message to print.
+   */
+  function log(message) {
+    if (multibar?.isActive) {
+      multibar.log(`${message}\n`);
+    } else {
+      console.log(message);
+    }
+  }
+
+  /**
+   * Adds a line for an item that is being worked on.
+   * @param {string} name - What is being worked on, e.g. a video title.
+   * @param {string} stage - What is happening to it right now.
+   * @param {{showBar?: boolean}} [options] - Set showBar to false for work without a percentage.
+   * @returns {{update: function(number, string=): void, setStage: function(string): void, finish: function(): void}}
+   */
+  function startTask(name, stage, { showBar = true } = {}) {
+    const barOptions = showBar ? {} : { format: ' {stage} | {name}' };
+    const bar = multibar?.create(100, 0, { name: truncate(name, NAME_WIDTH), stage: truncate(stage, STAGE_WIDTH) }, barOptions);
+
+    return {
+      update(percent, newStage) {
+        bar?.update(Math.round(percent), newStage ? { stage: truncate(newStage, STAGE_WIDTH) } : {});
+      },
+      setStage(newStage) {
+        bar?.update({ stage: truncate(newStage, STAGE_WIDTH) });
+      },
+      finish() {
+        if (bar) multibar.remove(bar);
+      },
+    };
+  }
+
+  /**
+   * Removes the bars and prints any messages that are still buffered.
+   */
+  function stop() {
+    if (!multibar?.isActive) return;
+    multibar.update();
+    multibar.stop();
+  }
+
+  return { log, startTask, stop };
+}
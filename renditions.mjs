@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Finds and re-creates missing renditions of downloaded videos.
+ * A rendition is missing when a preset was added to a channel's target formats
+ * after the video was downloaded, or when its file was deleted. The video is put
+ * back in the job queue for just those presets; with KEEP_SOURCE_FILES they are
+ * made from the kept streams instead of a new download.
+ */
+
+import { existsSync } from 'fs';
+import chalk from 'chalk';
+
+import { findChannel, resolveChannelSettings } from './channels.mjs';
+import { FORMAT_PRESETS, toFormatList } from './formats.mjs';
+import { requeueJob } from './jobs.mjs';
+import { resolveStoredPath } from './paths.mjs';
+
+/**
+ * Queues the missing renditions of every downloaded video of the given channels.
+ * @param {object} db - The database instance.
+ * @param {object[]} channels - The channel rows.
+ * @param {string[]} [presets] - The presets to check, defaults to each channel's target formats.
+ * @returns {Promise<number>} The number of videos queued.
+ */
+export async function queueMissingRenditions(db, channels, presets) {
+  let queued = 0;
+  for (const channel of channels) {
+    const targetFormats = presets ?? (await resolveChannelSettings(db, channel)).targetFormats;
+    const videos = await db.all(`
+      SELECT v.*, j.video_info FROM videos v
+      LEFT JOIN jobs j ON j.video_id = v.id
+      WHERE v.channel_id = ? AND v.status = 'downloaded'
+    `, channel.id);
+
+    for (const video of videos) {
+      const rows = await db.all('SELECT preset, file_path FROM renditions WHERE video_id = ?', video.id);
+      const existing = new Set(rows
+        .filter((row) => existsSync(resolveStoredPath(row.file_path) ?? ''))
+        .map((row) => row.preset));
+      const missing = targetFormats.filter((name) => !existing.has(name));
+      if (missing.length === 0) continue;
+
+      // Videos downloaded before the job queue existed have no stored metadata.
+      const videoInfo = video.video_info ? JSON.parse(video.video_info) : {
+        id: video.id,
+        title: video.title,
+        channel: channel.name,
+        upload_date: video.upload_date,
+        webpage_url: `https://www.youtube.com/watch?v=${video.id}`,
+      };
+      await requeueJob(db, videoInfo, channel.id, missing);
+      console.log(chalk.cyan(`Queued ${missing.join(', ')} for "${video.title}".`));
+      queued++;
+    }
+  }
+  return queued;
+}
+
+/**
+ * Entry point for `shortstash render [<id|url> [presets]]`.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The positional arguments after `render`.
+ * @param {object} hooks
+ * @param {function(object): Promise<void>} hooks.processJobQueue - Works through the queued jobs.
+ */
+export async function runRenderCommand(db, [ref, presetList], { processJobQueue }) {
+  const channels = ref
+    ? [await findChannel(db, ref)]
+    : await db.all('SELECT * FROM channels ORDER BY id');
+
+  let presets;
+  if (presetList) {
+    presets = toFormatList(presetList);
+    const unknown = presets.find((name) => !FORMAT_PRESETS[name]);
+    if (unknown) throw new Error(`Unknown format preset: ${unknown}`);
+  }
+
+  const queued = await queueMissingRenditions(db, channels, presets);
+  if (queued === 0) {
+    console.log(chalk.green('✅ Every downloaded video has all of its renditions.'));
+    return;
+  }
+  await processJobQueue(db);
+}
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Retention rules: RETENTION_SETTINGS plus the per-channel
+ * overrides. They are enforced at the end of every run and with `shortstash prune`.
+ * A pruned video loses its files, sidecars and renditions, but stays in the videos
+ * table with the status 'pruned', so it is never downloaded again.
+ */
+
+import { existsSync } from 'fs';
+import { stat, unlink } from 'fs/promises';
+import { extname, join } from 'path';
+import chalk from 'chalk';
+
+import { RETENTION_SETTINGS } from './config.mjs';
+import { resolveChannelSettings } from './channels.mjs';
+import { getSidecarPaths } from './metadata.mjs';
+import { getChannelDir, resolveStoredPath } from './paths.mjs';
+
+const MB = 1024 * 1024;
+
+/**
+ * Whether any retention rule is set, globally or on a channel.
+ * @param {object} db - The database instance.
+ * @returns {Promise<boolean>}
+ */
+async function hasRetentionRules(db) {
+  if (Object.values(RETENTION_SETTINGS).some(Boolean)) return true;
+  return Boolean(await db.get('SELECT 1 FROM channels WHERE keep_latest > 0 OR max_age_days > 0 OR max_size_mb > 0'));
+}
+
+/**
+ * Collects the files of a video that are on disk: every rendition, the sidecars
+ * named after them, and the streams kept by KEEP_SOURCE_FILES.
+ * @param {object} db - The database instance.
+ * @param {object} video - The video row, with its channel_name.
+ * @returns {Promise<{path: string, size: number}[]>}
+ */
+async function findVideoFiles(db, video) {
+  const rows = await db.all('SELECT file_path FROM renditions WHERE video_id = ?', video.id);
+  const storedPaths = new Set([video.file_path, ...rows.map((row) => row.file_path)].filter(Boolean));
+  const paths = new Set();
+  for (const storedPath of storedPaths) {
+    const file = resolveStoredPath(storedPath);
+    if (!file) continue;
+    paths.add(file);
+    Object.values(getSidecarPaths(file.slice(0, -extname(file).length))).forEach((sidecar) => paths.add(sidecar));
+  }
+  if (video.channel_name) {
+    const sourceDir = join(getChannelDir(video.channel_name), '.sources');
+    paths.add(join(sourceDir, `${video.id}.video.mp4`));
+    paths.add(join(sourceDir, `${video.id}.audio.m4a`));
+  }
+
+  const files = [];
+  for (const path of paths) {
+    if (!existsSync(path)) continue;
+    files.push({ path, size: (await stat(path)).size });
+  }
+  return files;
+}
+
+/**
+ * Marks the videos, from newest to oldest, that come after the first one that
+ * no longer fits in the cap. So the oldest ones are evicted first.
+ * @param {object[]} videos - The videos, newest first.
+ * @param {number} capMb - The cap in MB.
+ * @param {function(object): void} onEvict - Called for every video past the cap.
+ */
+function evictOverCap(videos, capMb, onEvict) {
+  let used = 0;
+  let full = false;
+  for (const video of videos) {
+    used += video.size;
+    if (used > capMb * MB) full = true;
+    if (full) onEvict(video);
+  }
+}
+
+/**
+ * Finds the downloaded videos the retention rules want deleted.
+ * @param {object} db - The database instance.
+ * @returns {Promise<object[]>} The videos with their files, size and the reason, oldest first.
+ */
+export async function findVideosToPrune(db) {
+  if (!(await hasRetentionRules(db))) return [];
+
+  const videos = await db.all(`
+    SELECT v.id, v.title, v.channel_id, v.upload_date, v.file_path, c.name AS channel_name, c.url AS channel_url
+    FROM videos v
+    LEFT JOIN channels c ON c.id = v.channel_id
+    WHERE v.status = 'downloaded'
+    ORDER BY v.upload_date DESC, v.downloaded_at DESC
+  `);
+  for (const video of videos) {
+    video.files = await findVideoFiles(db, video);
+    video.size = video.files.reduce((total, file) => total + file.size, 0);
+  }
+
+  const toPrune = new Map();
+  const prune = (video, reason) => {
+    if (!toPrune.has(video.id)) toPrune.set(video.id, { ...video, reason });
+  };
+
+  const channelIds = [...new Set(videos.map((video) => video.channel_id))];
+  for (const channelId of channelIds) {
+    const channel = channelId === null ? null : await db.get('SELECT * FROM channels WHERE id = ?', channelId);
+    // Videos of removed channels only follow the global rules.
+    const { keepLatest, maxAgeDays, maxSizeMb } = channel
+      ? (await resolveChannelSettings(db, channel)).retention
+      : { keepLatest: RETENTION_SETTINGS.keep_latest, maxAgeDays: RETENTION_SETTINGS.max_age_days, maxSizeMb: null };
+    const channelVideos = videos.filter((video) => video.channel_id === channelId);
+
+    if (keepLatest) {
+      channelVideos.slice(keepLatest).forEach((video) => prune(video, `only the newest ${keepLatest} are kept`));
+    }
+    if (maxAgeDays) {
+      // Upload dates are YYYYMMDD, so they compare as text.
+      const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+      channelVideos
+        .filter((video) => video.upload_date && video.upload_date < cutoff)
+        .forEach((video) => prune(video, `uploaded more than ${maxAgeDays} days ago`));
+    }
+    if (maxSizeMb) {
+      const kept = channelVideos.filter((video) => !toPrune.has(video.id));
+      evictOverCap(kept, maxSizeMb, (video) => prune(video, `the channel is over ${maxSizeMb} MB`));
+    }
+  }
+
+  if (RETENTION_SETTINGS.max_size_mb) {
+    const kept = videos.filter((video) => !toPrune.has(video.id));
+    evictOverCap(kept, RETENTION_SETTINGS.max_size_mb, (video) => prune(video, `the archive is over ${RETENTION_SETTINGS.max_size_mb} MB`));
+  }
+
+  return [...toPrune.values()].reverse();
+}
+
+/**
+ * Deletes the files of a video and marks it as pruned.
+ * @param {object} db - The database instance.
+ * @param {object} video - A video from findVideosToPrune().
+ */
+async function pruneVideo(db, video) {
+  for (const file of video.files) {
+    await unlink(file.path).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+  await db.run('DELETE FROM renditions WHERE video_id = ?', video.id);
+  await db.run("UPDATE videos SET status = 'pruned', file_path = NULL WHERE id = ?", video.id);
+}
+
+/**
+ * Enforces the retention rules, or only prints what they would delete.
+ * @param {object} db - The database instance.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only print what would be deleted.
+ * @returns {Promise<number>} How many videos were (or would be) pruned.
+ */
+export async function applyRetention(db, { dryRun = false } = {}) {
+  const videos = await findVideosToPrune(db);
+  if (videos.length === 0) return 0;
+
+  const freedMb = videos.reduce((total, video) => total + video.size, 0) / MB;
+  if (dryRun) {
+    console.log(chalk.yellow(`\nThe retention rules would delete ${videos.length} video(s), ${freedMb.toFixed(1)} MB:`));
+  }
+  for (const video of videos) {
+    const details = `${video.channel_name || video.channel_url || 'no channel'}, ${video.reason}, ${(video.size / MB).toFixed(1)} MB`;
+    if (!dryRun) await pruneVideo(db, video);
+    console.log(`${chalk.grey('[prune]'.padEnd(10))} ${video.title} ${chalk.grey(`(${details})`)}`);
+  }
+  if (!dryRun) {
+    console.log(chalk.green(`🗑️  Pruned ${videos.length} video(s), freed ${freedMb.toFixed(1)} MB.`));
+  }
+  return videos.length;
+}
+
+/**
+ * Entry point for `shortstash prune`. With --dry-run it only prints what would be deleted.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The positional arguments after `prune`, none are taken.
+ * @param {object} options
+ * @param {boolean} options.dryRun - Whether --dry-run was given.
+ */
+export async function runPruneCommand(db, args, { dryRun }) {
+  if (args.length > 0) throw new Error(`Unknown prune argument: ${args[0]}. Use --dry-run to preview.`);
+  if (!(await hasRetentionRules(db))) {
+    console.log(chalk.yellow('No retention rules are set. See RETENTION_SETTINGS in config.mjs or `channels set <id> keep_latest <n>`.'));
+    return;
+  }
+  const count = await applyRetention(db, { dryRun });
+  if (count === 0) console.log(chalk.green('Nothing to prune, every video is within the retention rules.'));
+}
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Run history backed by the `runs` table. Every run records which
+ * channels it checked, how many new videos it found, downloaded, skipped, left
+ * pending approval, failed on or pruned, and what went wrong, so unattended scheduled runs
+ * can be looked into afterwards with `shortstash history`.
+ */
+
+import chalk from 'chalk';
+
+import { isJsonLogging } from './logging.mjs';
+
+const STATUS_COLORS = {
+  running: chalk.cyan,
+  completed: chalk.green,
+  failed: chalk.red,
+  interrupted: chalk.yellow,
+};
+
+const COUNTS = ['found', 'downloaded', 'skipped', 'pending', 'failed', 'pruned'];
+
+/**
+ * Starts recording a run.
+ * @param {object} db - The database instance.
+ * @param {object[]} channels - The channel rows that are checked.
+ * @param {object} [options]
+ * @param {boolean} [options.record] - False to only log it, e.g. for a dry run.
+ * @returns {Promise<object>} The run, whose counts and errors are filled in as it goes.
+ */
+export async function startRun(db, channels, { record = true } = {}) {
+  const run = {
+    id: null,
+    started_at: new Date().toISOString(),
+    channels: channels.map((channel) => channel.url),
+    ...Object.fromEntries(COUNTS.map((count) => [count, 0])),
+    errors: [],
+  };
+  if (record) {
+    const { lastID } = await db.run(
+      'INSERT INTO runs(started_at, channels) VALUES(?, ?)',
+      run.started_at, JSON.stringify(run.channels)
+    );
+    run.id = lastID;
+  }
+  return run;
+}
+
+/**
+ * Shortens an error to its last line, which is where yt-dlp and ffmpeg put the
+ * reason. The full output is in the console.
+ * @param {Error|string} error - The error.
+ * @returns {string}
+ */
+export function summarizeError(error) {
+  return String(error?.message ?? error).trim().split('\n').pop();
+}
+
+/**
+ * Adds an error message to a run.
+ * @param {object} run - The run from startRun().
+ * @param {string} context - What failed, e.g. the video title.
+ * @param {Error|string} error - The error.
+ */
+export function addRunError(run, context, error) {
+  run.errors.push(`${context}: ${summarizeError(error)}`);
+}
+
+/**
+ * Stores the counts, errors and end time of a run.
+ * @param {object} db - The database instance.
+ * @param {object} run - The run from startRun().
+ * @param {Error|null} [error] - The error that ended the run early.
+ * @returns {Promise<object>} The summary of the run, for the run_finished event.
+ */
+export async function finishRun(db, run, error = null) {
+  if (error) addRunError(run, 'Run failed', error);
+  const status = error ? 'failed' : 'completed';
+  const finishedAt = new Date().toISOString();
+  if (run.id) {
+    await db.run(
+      `UPDATE runs SET finished_at = ?, status = ?, ${COUNTS.map((count) => `${count} = ?`).join(', ')}, errors = ? WHERE id = ?`,
+      finishedAt, status, ...COUNTS.map((count) => run[count]), JSON.stringify(run.errors), run.id
+    );
+  }
+  return {
+    run_id: run.id,
+    status,
+    ...Object.fromEntries(COUNTS.map((count) => [count, run[count]])),
+    errors: run.errors,
+  };
+}
+
+/**
+ * Marks runs that never finished, because ShortStash was stopped or crashed during them.
+ * @param {object} db - The database instance.
+ * @returns {Promise<number>} How many runs were interrupted.
+ */
+export async function markInterruptedRuns(db) {
+  const { changes } = await db.run("UPDATE runs SET status = 'interrupted' WHERE status = 'running'");
+  return changes;
+}
+
+/**
+ * Returns the most recent runs, newest first.
+ * @param {object} db - The database instance.
+ * @param {number} [limit] - How many runs to return.
+ * @returns {Promise<object[]>} The runs with their channels and errors parsed.
+ */
+export async function listRuns(db, limit = 10) {
+  const runs = await db.all('SELECT * FROM runs ORDER BY id DESC LIMIT ?', limit);
+  return runs.map((run) => ({ ...run, channels: JSON.parse(run.channels), errors: JSON.parse(run.errors) }));
+}
+
+function formatElapsed(run) {
+  if (!run.finished_at) return '-';
+  const seconds = Math.round((new Date(run.finished_at) - new Date(run.started_at)) / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function printRun(run) {
+  const color = STATUS_COLORS[run.status] ?? chalk.white;
+  console.log(`${chalk.cyan(`#${run.id}`)} ${color(run.status.padEnd(11))} ${new Date(run.started_at).toLocaleString()} ${chalk.grey(`(${formatElapsed(run)})`)}`);
+  const counts = COUNTS.map((count) => `${count} ${run[count]}`).join(' | ');
+  console.log(chalk.grey(`    ${run.channels.length} channel(s) | ${counts}`));
+  if (run.errors.length > 0) {
+    console.log(chalk.yellow(`    ${run.errors.length} error(s), see \`shortstash history show ${run.id}\``));
+  }
+}
+
+/**
+ * Entry point for `shortstash history [count | show <id>]`.
+ * With --log-format json the runs are printed as JSON instead.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The positional arguments after `history`.
+ */
+export async function runHistoryCommand(db, args) {
+  const [action, ref] = args;
+
+  if (action === 'show') {
+    if (!/^\d+$/.test(ref ?? '')) throw new Error('Please provide a run id.');
+    const row = await db.get('SELECT * FROM runs WHERE id = ?', Number(ref));
+    if (!row) throw new Error(`No run found for: ${ref}`);
+    const run = { ...row, channels: JSON.parse(row.channels), errors: JSON.parse(row.errors) };
+    if (isJsonLogging()) {
+      console.log(JSON.stringify(run, null, 2));
+      return;
+    }
+    printRun(run);
+    run.channels.forEach((url) => console.log(chalk.magenta(`    - ${url}`)));
+    run.errors.forEach((error) => console.log(chalk.red(`    ✖ ${error}`)));
+    return;
+  }
+
+  const limit = action === undefined ? 10 : parseInt(action);
+  if (isNaN(limit) || limit < 1) {
+    throw new Error(`Unknown history action: ${action}. Use a number of runs, or show <id>.`);
+  }
+  const runs = await listRuns(db, limit);
+  if (isJsonLogging()) {
+    console.log(JSON.stringify(runs, null, 2));
+    return;
+  }
+  if (runs.length === 0) {
+    console.log(chalk.yellow('No runs recorded yet.'));
+    return;
+  }
+  runs.forEach(printRun);
+}
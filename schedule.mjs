@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Cron schedules for the scheduler: the global SCHEDULE plus any
+ * per-channel overrides. Every distinct expression gets its own node-cron task
+ * that checks the channels using it. On startup, channels whose last check is
+ * older than their previous scheduled slot (e.g. because the machine was asleep)
+ * are caught up right away.
+ */
+
+import chalk from 'chalk';
+import cron from 'node-cron';
+
+import { SCHEDULE } from './config.mjs';
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Never look further back than this for a missed slot.
+const MAX_CATCH_UP_DAYS = 366;
+
+/**
+ * Checks SCHEDULE at startup.
+ * @throws {Error} If it is not a valid cron expression.
+ */
+export function validateSchedule() {
+  if (!cron.validate(SCHEDULE)) {
+    throw new Error(`Invalid cron expression in SCHEDULE: ${SCHEDULE}`);
+  }
+}
+
+/**
+ * Returns the cron expression a channel is checked on.
+ * @param {object} channel - The channel row.
+ * @returns {string}
+ */
+export function getChannelSchedule(channel) {
+  return channel.schedule ?? SCHEDULE;
+}
+
+/**
+ * Expands one cron field, e.g. '8,20', '*\/15', '1-5' or 'mon-fri', to its values.
+ * @param {string} field - The field as written.
+ * @param {number} min - The lowest allowed value.
+ * @param {number} max - The highest allowed value.
+ * @param {string[]} [names] - Names for the values, starting at min.
+ * @returns {Set<number>}
+ */
+function expandField(field, min, max, names = []) {
+  const toNumber = (text) => {
+    const index = names.indexOf(text.slice(0, 3).toLowerCase());
+    return index === -1 ? Number(text) : index + min;
+  };
+
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? Number(stepText) : 1;
+    let [start, end] = range === '*' ? [min, max] : range.split('-').map(toNumber);
+    // "5/10" means every 10 starting at 5.
+    if (end === undefined) end = stepText ? max : start;
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Expands the fields of a cron expression. Expressions with a seconds field are
+ * matched per minute. Like node-cron, the day of month and day of week must both match.
+ * @param {string} expression - A cron expression accepted by node-cron.
+ * @returns {{minutes: number[], hours: number[], matchesDay: function(Date): boolean}}
+ *   The minutes and hours latest first.
+ */
+function parseExpression(expression) {
+  const fields = expression.trim().split(/\s+/);
+  const [minute, hour, day, month, weekday] = fields.length === 6 ? fields.slice(1) : fields;
+  const latestFirst = (values) => [...values].sort((a, b) => b - a);
+  const days = expandField(day, 1, 31);
+  const months = expandField(month, 1, 12, MONTH_NAMES);
+  const weekdays = expandField(weekday, 0, 7, DAY_NAMES);
+  if (weekdays.has(7)) weekdays.add(0); // Both 0 and 7 are Sunday.
+
+  return {
+    minutes: latestFirst(expandField(minute, 0, 59)),
+    hours: latestFirst(expandField(hour, 0, 23)),
+    matchesDay: (date) => days.has(date.getDate()) && months.has(date.getMonth() + 1) && weekdays.has(date.getDay()),
+  };
+}
+
+/**
+ * Finds the latest scheduled slot that is not later than a point in time. Goes
+ * back day by day, and only tries the hours and minutes of the days that match.
+ * @param {string} expression - The cron expression.
+ * @param {Date} [until] - Defaults to now.
+ * @returns {Date|null} The slot, or null if there was none in MAX_CATCH_UP_DAYS,
+ *   e.g. for a date that never occurs such as 30 February.
+ */
+export function findPreviousSlot(expression, until = new Date()) {
+  const { minutes, hours, matchesDay } = parseExpression(expression);
+  const day = new Date(until);
+  day.setHours(0, 0, 0, 0);
+  for (let i = 0; i <= MAX_CATCH_UP_DAYS; i++, day.setDate(day.getDate() - 1)) {
+    if (!matchesDay(day)) continue;
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const slot = new Date(day);
+        slot.setHours(hour, minute);
+        if (slot <= until) return slot;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the active channels that missed a scheduled check since their last one,
+ * i.e. whose last check is older than the previous slot of their schedule.
+ * Channels that were never checked count as missed.
+ * @param {object} db - The database instance.
+ * @returns {Promise<object[]>}
+ */
+export async function findChannelsWithMissedRuns(db) {
+  const channels = await db.all('SELECT * FROM channels WHERE is_active = 1');
+  // Many channels share a schedule, so each one is only looked up once.
+  const previousSlots = new Map();
+  return channels.filter((channel) => {
+    if (!channel.last_checked_at) return true;
+    const expression = getChannelSchedule(channel);
+    if (!previousSlots.has(expression)) previousSlots.set(expression, findPreviousSlot(expression));
+    const previousSlot = previousSlots.get(expression);
+    // CURRENT_TIMESTAMP is stored as UTC without a timezone.
+    const lastChecked = new Date(`${channel.last_checked_at.replace(' ', 'T')}Z`);
+    return previousSlot !== null && previousSlot > lastChecked;
+  });
+}
+
+/**
+ * Schedules a check for the global SCHEDULE and for every per-channel schedule.
+ * A task only checks the active channels that use its expression at that moment.
+ * @param {object} db - The database instance.
+ * @param {function(number[]): void} onDue - Called with the ids of the channels to check.
+ * @returns {Promise<{expression: string, task: object}[]>} The scheduled tasks.
+ */
+export async function startSchedules(db, onDue) {
+  const overrides = await db.all('SELECT DISTINCT schedule FROM channels WHERE schedule IS NOT NULL');
+  const expressions = [...new Set([SCHEDULE, ...overrides.map((row) => row.schedule)])];
+
+  return expressions.map((expression) => {
+    const task = cron.schedule(expression, async () => {
+      try {
+        const channels = await db.all('SELECT * FROM channels WHERE is_active = 1');
+        const due = channels.filter((channel) => getChannelSchedule(channel) === expression);
+        if (due.length > 0) onDue(due.map((channel) => channel.id));
+      } catch (error) {
+        console.error(chalk.red(`❌ Could not start the scheduled check for '${expression}':`), error.message);
+      }
+    });
+    return { expression, task };
+  });
+}
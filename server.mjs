@@ -0,0 +1,394 @@
+/**
+ * @fileoverview Optional built-in HTTP server for headless installs.
+ * Serves a small dashboard, JSON endpoints for the archive, and the downloaded
+ * files themselves (with range requests, so they can be streamed and seeked).
+ */
+
+import { createServer } from 'http';
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { pipeline } from 'stream';
+import { basename, extname } from 'path';
+import chalk from 'chalk';
+
+import {
+  SERVER_SETTINGS,
+  TARGET_FORMAT,
+  DOWNLOAD_AFTER_DATE,
+  VIDEOS_TO_INSPECT,
+  MAX_VIDEOS_TO_INSPECT,
+  CONCURRENCY,
+} from './config.mjs';
+import { MIME_TYPES } from './formats.mjs';
+import { approveVideos, listPendingVideos, rejectVideos } from './approvals.mjs';
+import { listRuns } from './runs.mjs';
+import { resolveStoredPath } from './paths.mjs';
+
+// Podcast feeds are served from the same folders as the media files.
+const CONTENT_TYPES = { ...MIME_TYPES, xml: 'application/rss+xml; charset=utf-8' };
+
+function getMediaType(fileName) {
+  return MIME_TYPES[extname(fileName).slice(1).toLowerCase()];
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+// Request bodies are small JSON objects, anything bigger is a mistake.
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {object} req - The HTTP request.
+ * @returns {Promise<object>} The parsed body, {} if it is empty.
+ */
+async function readJsonBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) throw Object.assign(new Error('Request body too large.'), { status: 413 });
+  }
+  if (body.trim() === '') return {};
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw Object.assign(new Error('The request body must be valid JSON.'), { status: 400 });
+  }
+}
+
+/**
+ * Reads the video ids to approve or reject from a request body: { "ids": [...] } or { "ids": "all" }.
+ * @param {object} req - The HTTP request.
+ * @returns {Promise<string[]>}
+ */
+async function readVideoIds(req) {
+  const { ids } = await readJsonBody(req);
+  if (ids === 'all') return ['all'];
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => typeof id === 'string')) {
+    throw Object.assign(new Error('Please provide "ids" as a list of video ids, or "all".'), { status: 400 });
+  }
+  return ids;
+}
+
+/**
+ * Lists the downloaded files of each channel. The files are taken from the
+ * database, as OUTPUT_TEMPLATE decides which folders they are in.
+ * @param {object} db - The database instance.
+ * @returns {Promise<object[]>} One entry per channel with files on disk.
+ */
+async function listChannelFiles(db) {
+  const rows = await db.all(`
+    SELECT f.file_path, c.id AS channel_id, c.name AS channel_name, c.url AS channel_url
+    FROM (
+      SELECT video_id, file_path FROM renditions
+      UNION SELECT id, file_path FROM videos WHERE file_path IS NOT NULL
+    ) f
+    JOIN videos v ON v.id = f.video_id
+    JOIN channels c ON c.id = v.channel_id
+    ORDER BY c.id
+  `);
+  const folders = new Map();
+
+  for (const row of rows) {
+    const filePath = resolveStoredPath(row.file_path);
+    if (!filePath || !getMediaType(filePath)) continue;
+    let info;
+    try {
+      info = await stat(filePath);
+    } catch {
+      continue; // Deleted since it was downloaded.
+    }
+
+    if (!folders.has(row.channel_id)) {
+      folders.set(row.channel_id, { channel_id: row.channel_id, channel: row.channel_name ?? row.channel_url, url: row.channel_url, files: [] });
+    }
+    folders.get(row.channel_id).files.push({
+      name: basename(filePath),
+      size: info.size,
+      modified_at: info.mtime.toISOString(),
+      url: `/files/${row.file_path.split('/').map(encodeURIComponent).join('/')}`,
+    });
+  }
+
+  for (const folder of folders.values()) {
+    folder.files.sort((a, b) => b.modified_at.localeCompare(a.modified_at));
+  }
+  return [...folders.values()];
+}
+
+// The file can still disappear or be unreadable after the stat, e.g. when a run
+// prunes it. The headers are sent by then, so all that is left is to drop the connection.
+function sendStream(res, stream) {
+  pipeline(stream, res, (error) => {
+    if (error) res.destroy();
+  });
+}
+
+/**
+ * Streams a file from a channel folder, honouring Range headers.
+ * @param {object} req - The HTTP request.
+ * @param {object} res - The HTTP response.
+ * @param {string} relativePath - The decoded path below /files/.
+ */
+async function serveFile(req, res, relativePath) {
+  const filePath = resolveStoredPath(relativePath);
+  // Never serve anything outside the output folder.
+  if (!filePath) {
+    return sendJson(res, 403, { error: 'Forbidden' });
+  }
+
+  const contentType = CONTENT_TYPES[extname(filePath).slice(1).toLowerCase()];
+  let info;
+  try {
+    info = await stat(filePath);
+  } catch {
+    info = null;
+  }
+  if (!contentType || !info?.isFile()) {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  const headers = { 'Content-Type': contentType, 'Accept-Ranges': 'bytes' };
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  if (!range || (range[1] === '' && range[2] === '')) {
+    res.writeHead(200, { ...headers, 'Content-Length': info.size });
+    return sendStream(res, createReadStream(filePath));
+  }
+
+  // "bytes=-500" means the last 500 bytes.
+  const start = range[1] === '' ? Math.max(0, info.size - Number(range[2])) : Number(range[1]);
+  const end = range[1] !== '' && range[2] !== '' ? Math.min(Number(range[2]), info.size - 1) : info.size - 1;
+  if (start > end || start >= info.size) {
+    res.writeHead(416, { 'Content-Range': `bytes */${info.size}` });
+    return res.end();
+  }
+
+  res.writeHead(206, {
+    ...headers,
+    'Content-Range': `bytes ${start}-${end}/${info.size}`,
+    'Content-Length': end - start + 1,
+  });
+  sendStream(res, createReadStream(filePath, { start, end }));
+}
+
+/**
+ * Starts the dashboard and API server.
+ * @param {object} db - The database instance.
+ * @param {object} hooks - What the server needs from the scheduler process.
+ * @param {function(): Promise<void>} hooks.runAutomation - Starts a run.
+ * @param {function(): object} hooks.getRunStatus - Returns the current run status.
+ * @returns {import('http').Server}
+ */
+export function startServer(db, { runAutomation, getRunStatus }) {
+  const routes = {
+    'GET /': async (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(DASHBOARD_HTML);
+    },
+    'GET /api/channels': async (req, res) => {
+      const channels = await db.all(`
+        SELECT c.*, COUNT(CASE WHEN v.status = 'downloaded' THEN 1 END) AS video_count
+        FROM channels c
+        LEFT JOIN videos v ON v.channel_id = c.id
+        GROUP BY c.id
+        ORDER BY c.id
+      `);
+      sendJson(res, 200, channels);
+    },
+    'GET /api/videos': async (req, res, url) => {
+      const conditions = [];
+      const params = [];
+      if (url.searchParams.has('channel')) {
+        conditions.push('v.channel_id = ?');
+        params.push(Number(url.searchParams.get('channel')));
+      }
+      if (url.searchParams.has('status')) {
+        conditions.push('v.status = ?');
+        params.push(url.searchParams.get('status'));
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const limit = Math.min(Number(url.searchParams.get('limit')) || 100, 1000);
+      const videos = await db.all(`
+        SELECT v.*, c.name AS channel_name, c.url AS channel_url
+        FROM videos v
+        LEFT JOIN channels c ON c.id = v.channel_id
+        ${where}
+        ORDER BY v.upload_date DESC, v.downloaded_at DESC
+        LIMIT ?
+      `, ...params, limit);
+      sendJson(res, 200, videos);
+    },
+    'GET /api/files': async (req, res) => {
+      sendJson(res, 200, await listChannelFiles(db));
+    },
+    'GET /api/settings': async (req, res) => {
+      const rows = await db.all('SELECT key, value FROM settings');
+      sendJson(res, 200, {
+        settings: Object.fromEntries(rows.map(({ key, value }) => [key, value])),
+        defaults: {
+          target_format: TARGET_FORMAT,
+          download_after_date: DOWNLOAD_AFTER_DATE,
+          videos_to_inspect: VIDEOS_TO_INSPECT,
+          max_videos_to_inspect: MAX_VIDEOS_TO_INSPECT,
+          concurrency: CONCURRENCY,
+        },
+      });
+    },
+    'GET /api/status': async (req, res) => {
+      sendJson(res, 200, getRunStatus());
+    },
+    'GET /api/runs': async (req, res, url) => {
+      const limit = Math.min(Number(url.searchParams.get('limit')) || 20, 1000);
+      sendJson(res, 200, await listRuns(db, limit));
+    },
+    'POST /api/run': async (req, res) => {
+      if (getRunStatus().running) {
+        return sendJson(res, 409, { error: 'A run is already in progress.' });
+      }
+      runAutomation();
+      sendJson(res, 202, { started: true });
+    },
+    'GET /api/pending': async (req, res) => {
+      sendJson(res, 200, await listPendingVideos(db));
+    },
+    'POST /api/approve': async (req, res) => {
+      sendJson(res, 200, { approved: await approveVideos(db, await readVideoIds(req)) });
+    },
+    'POST /api/reject': async (req, res) => {
+      sendJson(res, 200, { rejected: await rejectVideos(db, await readVideoIds(req)) });
+    },
+  };
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'GET' && url.pathname.startsWith('/files/')) {
+        let storedPath;
+        try {
+          storedPath = decodeURIComponent(url.pathname.slice('/files/'.length));
+        } catch {
+          return sendJson(res, 400, { error: 'Malformed file path.' });
+        }
+        return await serveFile(req, res, storedPath);
+      }
+      const route = routes[`${req.method} ${url.pathname}`];
+      if (!route) return sendJson(res, 404, { error: 'Not found' });
+      // A page on another site can send a form or text/plain POST here without the
+      // browser asking first, but not a JSON one.
+      if (req.method === 'POST' && !/^application\/json\s*(;|$)/i.test(req.headers['content-type'] ?? '')) {
+        return sendJson(res, 415, { error: 'POST requests must have Content-Type: application/json.' });
+      }
+      await route(req, res, url);
+    } catch (error) {
+      // Errors with a status are the client's fault and not worth logging.
+      if (!error.status) console.error(chalk.red(`❌ Server error on ${req.method} ${url.pathname}:`), error.message);
+      if (!res.headersSent) sendJson(res, error.status ?? 500, { error: error.message });
+    }
+  });
+
+  server.listen(SERVER_SETTINGS.port, SERVER_SETTINGS.host, () => {
+    console.log(chalk.cyan(`🌐 Dashboard available at http://${SERVER_SETTINGS.host}:${SERVER_SETTINGS.port}/`));
+  });
+  server.on('error', (error) => {
+    console.error(chalk.red('❌ Could not start the dashboard server:'), error.message);
+  });
+  return server;
+}
+
+const DASHBOARD_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>ShortStash</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #222; }
+    h2 { border-bottom: 1px solid #ddd; padding-bottom: .25rem; }
+    ul { list-style: none; padding: 0; }
+    li { padding: .25rem 0; }
+    small { color: #777; }
+    button { cursor: pointer; }
+    #player video, #player audio { width: 100%; max-height: 60vh; }
+  </style>
+</head>
+<body>
+  <h1>ShortStash</h1>
+  <p id="status">Loading...</p>
+  <button id="run">Run now</button> <a href="/files/feed.xml">Podcast feed</a>
+  <div id="player"></div>
+  <div id="pending"></div>
+  <div id="channels"></div>
+  <script>
+    const escape = (text) => String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+    async function loadStatus() {
+      const status = await (await fetch('/api/status')).json();
+      document.getElementById('status').textContent = status.running
+        ? 'A run is in progress, started at ' + new Date(status.started_at).toLocaleString()
+        : 'Idle. Last run finished at ' + (status.finished_at ? new Date(status.finished_at).toLocaleString() : 'never');
+    }
+
+    function play(url, name) {
+      const tag = /\\.(mp3|m4a)$/i.test(name) ? 'audio' : 'video';
+      document.getElementById('player').innerHTML =
+        '<h2>' + escape(name) + '</h2><' + tag + ' src="' + url + '" controls autoplay></' + tag + '>';
+    }
+
+    async function loadFiles() {
+      const folders = await (await fetch('/api/files')).json();
+      document.getElementById('channels').innerHTML = folders.map((folder) =>
+        '<h2>' + escape(folder.channel) + ' <small>' + folder.files.length + ' file(s)</small></h2><ul>' +
+        folder.files.map((file) =>
+          '<li><a href="#" data-url="' + file.url + '" data-name="' + escape(file.name) + '">' + escape(file.name) + '</a> ' +
+          '<small>' + (file.size / 1048576).toFixed(1) + ' MB</small> <a href="' + file.url + '" download>download</a></li>'
+        ).join('') + '</ul>'
+      ).join('') || '<p>Nothing downloaded yet.</p>';
+    }
+
+    async function loadPending() {
+      const videos = await (await fetch('/api/pending')).json();
+      document.getElementById('pending').innerHTML = videos.length === 0 ? '' :
+        '<h2>Waiting for approval <small>' + videos.length + ' video(s)</small></h2><ul>' +
+        videos.map((video) =>
+          '<li><label><input type="checkbox" value="' + escape(video.id) + '"> ' + escape(video.title) + '</label> ' +
+          '<small>' + escape(video.channel_name || video.channel_url || '') + ', ' + escape(video.upload_date) + '</small></li>'
+        ).join('') + '</ul>' +
+        '<button data-action="approve">Download selected</button> <button data-action="reject">Reject selected</button>';
+    }
+
+    document.getElementById('pending').addEventListener('click', async (event) => {
+      const action = event.target.dataset.action;
+      if (!action) return;
+      const ids = [...document.querySelectorAll('#pending input:checked')].map((input) => input.value);
+      if (ids.length === 0) return;
+      const response = await fetch('/api/' + action, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids }),
+      });
+      if (!response.ok) alert((await response.json()).error);
+      loadPending();
+    });
+
+    document.getElementById('channels').addEventListener('click', (event) => {
+      if (!event.target.dataset.url) return;
+      event.preventDefault();
+      play(event.target.dataset.url, event.target.dataset.name);
+    });
+
+    document.getElementById('run').addEventListener('click', async () => {
+      const response = await fetch('/api/run', { method: 'POST', headers: { 'Content-Type': 'application/json' } });
+      if (!response.ok) alert((await response.json()).error);
+      loadStatus();
+    });
+
+    loadStatus();
+    loadPending();
+    loadFiles();
+    setInterval(loadStatus, 5000);
+  </script>
+</body>
+</html>
+`;
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Copies the newest downloads onto a mounted portable player.
+ * What is on each device is tracked in the `synced_files` table, so a re-sync
+ * only copies new files and removes the ones that dropped out of the size budget.
+ * M3U playlists (one per channel plus "latest") are rewritten on every sync.
+ */
+
+import { copyFile, mkdir, readdir, rename, rm, stat, statfs, writeFile } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+import chalk from 'chalk';
+
+import { PLAYER_SYNC_SETTINGS } from './config.mjs';
+import { resolveStoredPath } from './paths.mjs';
+
+const MB = 1024 * 1024;
+
+// Characters FAT32, which most players use, does not allow in file names.
+function toPlaylistName(name) {
+  return name.replace(/[\\/:*?"<>|]/g, '_');
+}
+
+/**
+ * Lists the downloaded files, newest first, with their local path and size.
+ * @param {object} db - The database instance.
+ * @returns {Promise<object[]>}
+ */
+async function loadLocalFiles(db) {
+  const videos = await db.all(`
+    SELECT v.id, v.title, v.file_path, c.name AS channel_name,
+      json_extract(j.video_info, '$.duration') AS duration
+    FROM videos v
+    LEFT JOIN channels c ON c.id = v.channel_id
+    LEFT JOIN jobs j ON j.video_id = v.id
+    WHERE v.status = 'downloaded' AND v.file_path IS NOT NULL
+    ORDER BY v.upload_date DESC, v.downloaded_at DESC
+  `);
+
+  const files = [];
+  for (const video of videos) {
+    const localPath = resolveStoredPath(video.file_path);
+    if (!localPath) continue;
+    try {
+      const { size } = await stat(localPath);
+      files.push({ ...video, localPath, size });
+    } catch {
+      // The file was moved or deleted locally, so there is nothing to copy.
+    }
+  }
+  return files;
+}
+
+/**
+ * Picks the newest files that fit in the size budget.
+ * @param {object[]} files - The files from loadLocalFiles(), newest first.
+ * @param {number} budget - The budget in bytes.
+ * @returns {object[]}
+ */
+function selectWithinBudget(files, budget) {
+  const selected = [];
+  let used = 0;
+  for (const file of files) {
+    if (used + file.size > budget) continue;
+    selected.push(file);
+    used += file.size;
+  }
+  return selected;
+}
+
+/**
+ * Writes an extended M3U playlist. Paths are relative to the playlist's folder.
+ * @param {string} playlistPath - The absolute path of the .m3u file.
+ * @param {object[]} files - The files in playlist order.
+ */
+async function writePlaylist(playlistPath, files) {
+  const lines = ['#EXTM3U'];
+  for (const file of files) {
+    lines.push(`#EXTINF:${file.duration ? Math.round(file.duration) : -1},${file.title}`);
+    lines.push(file.file_path);
+  }
+  await writeFile(playlistPath, `${lines.join('\r\n')}\r\n`);
+}
+
+/**
+ * Mirrors the newest downloads onto a device and rewrites its playlists.
+ * @param {object} db - The database instance.
+ * @param {string} mountpoint - Where the device is mounted, e.g. E:\ or /media/player.
+ */
+export async function syncToDevice(db, mountpoint) {
+  const root = resolve(mountpoint);
+  const info = await stat(root).catch(() => null);
+  if (!info?.isDirectory()) {
+    throw new Error(`The mountpoint ${root} does not exist or is not a folder.`);
+  }
+  const syncDir = join(root, PLAYER_SYNC_SETTINGS.folder);
+  await mkdir(syncDir, { recursive: true });
+
+  const wanted = selectWithinBudget(await loadLocalFiles(db), PLAYER_SYNC_SETTINGS.max_size_mb * MB);
+  const wantedIds = new Set(wanted.map((file) => file.id));
+  const synced = await db.all('SELECT * FROM synced_files WHERE mountpoint = ?', root);
+  const syncedById = new Map(synced.map((row) => [row.video_id, row]));
+
+  // Free space first: whatever dropped out of the budget is older than what replaces it.
+  let removed = 0;
+  for (const row of synced) {
+    if (wantedIds.has(row.video_id)) continue;
+    await rm(join(syncDir, row.device_path), { force: true });
+    await db.run('DELETE FROM synced_files WHERE id = ?', row.id);
+    removed++;
+  }
+
+  let copied = 0;
+  let kept = 0;
+  const onDevice = [];
+  for (const file of wanted) {
+    const devicePath = join(syncDir, file.file_path);
+    const row = syncedById.get(file.id);
+    const existing = row ? await stat(devicePath).catch(() => null) : null;
+    if (row && row.device_path === file.file_path && existing?.size === file.size) {
+      kept++;
+      onDevice.push(file);
+      continue;
+    }
+
+    const { bavail, bsize } = await statfs(root);
+    if (bavail * bsize < file.size) {
+      console.log(chalk.yellow(`⚠ The device is full, stopping before "${file.title}".`));
+      break;
+    }
+
+    await mkdir(dirname(devicePath), { recursive: true });
+    // Copy under a temporary name so an unplugged device never keeps half a file.
+    await copyFile(file.localPath, `${devicePath}.part`);
+    await rename(`${devicePath}.part`, devicePath);
+    await db.run(`
+      INSERT INTO synced_files (mountpoint, video_id, device_path, size) VALUES (?, ?, ?, ?)
+      ON CONFLICT (mountpoint, video_id) DO UPDATE SET
+        device_path = excluded.device_path, size = excluded.size, synced_at = CURRENT_TIMESTAMP
+    `, root, file.id, file.file_path, file.size);
+    // The file was renamed or moved since the last sync, the old copy is now a stray.
+    if (row && row.device_path !== file.file_path) {
+      await rm(join(syncDir, row.device_path), { force: true });
+    }
+    console.log(chalk.green(`✔ Copied ${file.file_path}`));
+    copied++;
+    onDevice.push(file);
+  }
+
+  // Rewrite every playlist, and drop the ones of channels that have nothing left.
+  const playlists = new Map([['latest.m3u', onDevice.slice(0, PLAYER_SYNC_SETTINGS.latest_count)]]);
+  for (const file of onDevice) {
+    const name = `${toPlaylistName(file.channel_name || dirname(file.file_path))}.m3u`;
+    if (!playlists.has(name)) playlists.set(name, []);
+    playlists.get(name).push(file);
+  }
+  for (const [name, files] of playlists) {
+    await writePlaylist(join(syncDir, name), files);
+  }
+  for (const entry of await readdir(syncDir)) {
+    if (entry.endsWith('.m3u') && !playlists.has(entry)) {
+      await rm(join(syncDir, entry), { force: true });
+    }
+  }
+
+  const usedMb = onDevice.reduce((total, file) => total + file.size, 0) / MB;
+  console.log(chalk.green(
+    `✅ Sync complete: ${copied} copied, ${kept} already on the device, ${removed} removed. ` +
+    `${usedMb.toFixed(1)} of ${PLAYER_SYNC_SETTINGS.max_size_mb} MB used.`
+  ));
+}
+
+/**
+ * Entry point for `shortstash sync <mountpoint>`.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The positional arguments after `sync`.
+ */
+export async function runSyncCommand(db, [mountpoint]) {
+  if (!mountpoint) throw new Error('Usage: sync <mountpoint>');
+  await syncToDevice(db, mountpoint);
+}
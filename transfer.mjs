@@ -0,0 +1,507 @@
+/**
+ * @fileoverview Moving archive state in and out of ShortStash. `import` seeds the
+ * videos and channels tables from a yt-dlp --download-archive file, from folders
+ * of videos downloaded by other means, from an OPML or JSON channel list, or from
+ * an exported history, so those videos are never downloaded again. `export` writes
+ * the channels as OPML or JSON (with their settings) and the download history as
+ * CSV or JSON.
+ */
+
+import { existsSync, statSync } from 'fs';
+import { readFile, writeFile } from 'fs/promises';
+import { basename, dirname, extname, resolve, sep } from 'path';
+import chalk from 'chalk';
+
+import { BROWSER } from './config.mjs';
+import { CHANNEL_SETTINGS, normalizeChannelUrl, resolveChannelSettings } from './channels.mjs';
+import { runCommand } from './exec.mjs';
+import { escapeXml } from './feeds.mjs';
+import { enqueueJob } from './jobs.mjs';
+import { OUTPUT_ROOT, sanitizeName, toStoredPath } from './paths.mjs';
+import { limits } from './pool.mjs';
+import { summarizeError } from './runs.mjs';
+import { findMediaFiles, identifyMediaFile, recordMediaFile } from './verify.mjs';
+
+const HISTORY_COLUMNS = [
+  'id', 'title', 'channel_name', 'channel_url', 'upload_date', 'status',
+  'downloaded_at', 'file_path', 'size', 'duration', 'checksum', 'url',
+];
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', apos: "'", quot: '"' };
+
+function unescapeXml(text) {
+  return text.replace(/&(lt|gt|amp|apos|quot|#\d+|#x[\da-f]+);/gi, (entity, name) => {
+    if (name[0] !== '#') return XML_ENTITIES[name.toLowerCase()];
+    return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1)));
+  });
+}
+
+// Titles as they can be compared with file names: the way ShortStash names files,
+// then without case, punctuation and spacing, which hand-named files vary in.
+function normalizeTitle(title) {
+  return sanitizeName(title, '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Lists the videos of a channel tab without fetching each one, which is fast
+ * enough to go through a whole channel.
+ * @param {string} url - The URL of the tab.
+ * @returns {Promise<{id: string, title: string}[]>}
+ */
+async function listTab(url) {
+  const args = ['--cookies-from-browser', BROWSER, '--flat-playlist', '--dump-single-json', url];
+  const output = await runCommand('yt-dlp', args);
+  return (JSON.parse(output)?.entries ?? []).filter((entry) => entry?.id && entry.title);
+}
+
+/**
+ * Indexes the videos of a channel by title. Titles that more than one video
+ * has map to null, as a file with that name can't be told apart.
+ * @param {object} channel - The channel row.
+ * @returns {Promise<Map<string, object|null>>}
+ */
+async function loadChannelTitles(channel) {
+  const tabs = await Promise.all(['videos', 'shorts'].map((tab) => {
+    const url = `${channel.url}/${tab}`;
+    return limits.metadata(() => listTab(url)).catch((error) => {
+      console.log(chalk.yellow(`⚠️ Could not list ${url}, its files can only be matched by id: ${summarizeError(error)}`));
+      return [];
+    });
+  }));
+  const titles = new Map();
+  for (const video of tabs.flat()) {
+    const key = normalizeTitle(video.title);
+    titles.set(key, titles.has(key) && titles.get(key)?.id !== video.id ? null : video);
+  }
+  return titles;
+}
+
+/**
+ * Finds the tracked channel whose output folder a file is in, looking from the
+ * file's folder up to the imported folder.
+ * @param {object[]} channels - The channel rows that have a name.
+ * @param {string} root - The imported folder.
+ * @param {string} file - The absolute path of the file.
+ * @returns {object|null}
+ */
+function findFolderChannel(channels, root, file) {
+  for (let dir = dirname(file); ; dir = dirname(dir)) {
+    const channel = channels.find((c) => sanitizeName(c.name, 'Unknown_Channel') === basename(dir));
+    if (channel) return channel;
+    if (dir === root || dirname(dir) === dir) return null;
+  }
+}
+
+/**
+ * Records the ids of a yt-dlp --download-archive file as downloaded. Only the
+ * YouTube entries are read. The files are unknown, so the id stands in for the
+ * title until the video is imported from a folder.
+ * @param {object} db - The database instance.
+ * @param {string} file - The archive file.
+ */
+async function importArchive(db, file) {
+  const lines = (await readFile(file, 'utf8')).split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const ids = lines
+    .map((line) => /^(\S+)\s+(\S+)$/.exec(line))
+    .filter((match) => match?.[1].toLowerCase() === 'youtube')
+    .map((match) => match[2]);
+
+  let imported = 0;
+  await db.exec('BEGIN');
+  try {
+    for (const id of ids) {
+      const { changes } = await db.run("INSERT OR IGNORE INTO videos(id, title, status) VALUES(?, ?, 'downloaded')", id, id);
+      imported += changes;
+    }
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+  console.log(chalk.green(`✅ Imported ${imported} video(s), ${ids.length - imported} were already known, ${lines.length - ids.length} line(s) were not YouTube videos.`));
+}
+
+/**
+ * Records the media files in a folder as downloaded. A file is matched by the id
+ * in its info.json, its tags or its name, or else by its name against the titles
+ * of the tracked channel whose folder it is in. Files in the output folder are
+ * recorded with their path; the videos of files elsewhere are only marked as downloaded.
+ * @param {object} db - The database instance.
+ * @param {string} folder - The folder to scan.
+ */
+async function importFolder(db, folder) {
+  const root = resolve(folder);
+  if (!existsSync(root) || !statSync(root).isDirectory()) throw new Error(`Not a folder: ${folder}`);
+  const inOutputFolder = root === OUTPUT_ROOT || root.startsWith(OUTPUT_ROOT + sep);
+  if (!inOutputFolder) {
+    console.log(chalk.yellow(`${root} is outside the output folder, so its videos are only marked as downloaded.`));
+  }
+
+  const channels = await db.all('SELECT * FROM channels WHERE name IS NOT NULL');
+  const knownPaths = new Set((await db.all(
+    'SELECT file_path FROM renditions UNION SELECT file_path FROM videos WHERE file_path IS NOT NULL'
+  )).map((row) => row.file_path));
+  const titleIndexes = new Map();
+  const counts = { imported: 0, known: 0, unmatched: 0 };
+
+  for (const file of await findMediaFiles([root], { recursive: true })) {
+    const name = inOutputFolder ? toStoredPath(file) : file;
+    if (inOutputFolder && knownPaths.has(name)) {
+      counts.known++;
+      continue;
+    }
+
+    const channel = findFolderChannel(channels, root, file);
+    let video = await identifyMediaFile(file);
+    if (!video && channel) {
+      if (!titleIndexes.has(channel.id)) titleIndexes.set(channel.id, loadChannelTitles(channel));
+      const match = (await titleIndexes.get(channel.id)).get(normalizeTitle(basename(file, extname(file))));
+      if (match) video = { id: match.id, title: match.title, channel: channel.name, upload_date: null };
+    }
+    if (!video) {
+      console.log(chalk.yellow(`⚠️ Can't tell which video ${name} is${channel ? '' : ', and it is not in a tracked channel\'s folder'}, left out.`));
+      counts.unmatched++;
+      continue;
+    }
+
+    if (inOutputFolder) {
+      await recordMediaFile(db, file, video, channel?.id);
+    } else {
+      await db.run(
+        "INSERT OR IGNORE INTO videos(id, title, channel_id, upload_date, status) VALUES(?, ?, ?, ?, 'downloaded')",
+        video.id, video.title, channel?.id ?? null, video.upload_date
+      );
+    }
+    console.log(chalk.green(`✔ ${name} is "${video.title}" (${video.id})`));
+    counts.imported++;
+  }
+  console.log(chalk.green(`✅ Imported ${counts.imported} file(s), ${counts.known} were already recorded, ${counts.unmatched} could not be matched.`));
+}
+
+/**
+ * Reads the channels of an OPML file, e.g. a YouTube or feed reader subscription
+ * export. Feed URLs with a channel_id are turned into channel URLs.
+ * @param {string} text - The OPML.
+ * @returns {{url: string, name: string|null}[]}
+ */
+function parseOpml(text) {
+  const channels = [];
+  for (const [, attributeText] of text.matchAll(/<outline\b([^>]*)>/gi)) {
+    const attributes = Object.fromEntries([...attributeText.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)]
+      .map(([, key, double, single]) => [key.toLowerCase(), unescapeXml(double ?? single)]));
+    const channelId = /[?&]channel_id=([\w-]+)/.exec(attributes.xmlurl ?? '')?.[1];
+    const url = attributes.htmlurl || (channelId ? `https://www.youtube.com/channel/${channelId}` : attributes.url);
+    // Outlines without a URL are folders. Channels exported without a name have their URL as the text.
+    const name = attributes.title || attributes.text || null;
+    if (url) channels.push({ url, name: /^https?:\/\//i.test(name ?? '') ? null : name });
+  }
+  return channels;
+}
+
+/**
+ * Reads a JSON channel list: a list of URLs, or of objects with a url, an
+ * optional name, paused and any CHANNEL_SETTINGS, either on its own or as `channels`.
+ * @param {string} text - The JSON.
+ * @returns {{url: string, name: string|null, paused: boolean|undefined, settings: object}[]}
+ */
+function parseChannelJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The channel list must be valid JSON: ${error.message}`);
+  }
+  const entries = Array.isArray(data) ? data : data?.channels;
+  if (!Array.isArray(entries)) throw new Error('The channel list must be a list, or an object with a channels list.');
+
+  return entries.map((entry, index) => {
+    if (typeof entry === 'string') return { url: entry, name: null, settings: {} };
+    const { url, name = null, paused, ...settings } = entry ?? {};
+    if (!url) throw new Error(`channels[${index}] has no url.`);
+    if (paused !== undefined && typeof paused !== 'boolean') throw new Error(`channels[${index}].paused must be true or false.`);
+    for (const [key, value] of Object.entries(settings)) {
+      if (!CHANNEL_SETTINGS[key]) throw new Error(`channels[${index}] has an unknown setting: ${key}. Available: ${Object.keys(CHANNEL_SETTINGS).join(', ')}`);
+      settings[key] = value === null ? null : CHANNEL_SETTINGS[key].parse(typeof value === 'string' ? value : JSON.stringify(value));
+    }
+    return { url, name, paused, settings };
+  });
+}
+
+/**
+ * Adds the channels of an OPML or JSON file. Channels that are already tracked
+ * keep their name, but take the settings (and paused state) the file gives them.
+ * @param {object} db - The database instance.
+ * @param {string} file - The OPML or JSON file.
+ */
+async function importChannels(db, file) {
+  const text = await readFile(file, 'utf8');
+  const entries = text.trimStart().startsWith('<') ? parseOpml(text) : parseChannelJson(text);
+  // Check every URL before anything is added.
+  const channels = entries.map((entry) => ({ ...entry, url: normalizeChannelUrl(entry.url) }));
+
+  let added = 0;
+  for (const { url, name, paused, settings = {} } of channels) {
+    const { changes } = await db.run('INSERT OR IGNORE INTO channels(url, name, is_active) VALUES(?, ?, ?)', url, name, paused ? 0 : 1);
+    if (changes === 0 && name) await db.run('UPDATE channels SET name = COALESCE(name, ?) WHERE url = ?', name, url);
+    if (changes === 0 && paused !== undefined) await db.run('UPDATE channels SET is_active = ? WHERE url = ?', paused ? 0 : 1, url);
+    added += changes;
+    for (const [key, value] of Object.entries(settings)) {
+      await db.run(`UPDATE channels SET ${key} = ? WHERE url = ?`, value, url);
+    }
+    console.log(`${changes > 0 ? chalk.green('[added]'.padEnd(10)) : chalk.grey('[known]'.padEnd(10))} ${name ? `${name} ` : ''}${chalk.grey(url)}`);
+  }
+  console.log(chalk.green(`✅ Added ${added} channel(s), ${channels.length - added} were already tracked.`));
+}
+
+// Splits CSV text into rows of fields, as written by `export history csv`.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\r' || c === '\n') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) rows.push([...row, field]);
+  return rows;
+}
+
+/**
+ * Reads a history export, the JSON list or the CSV with its header row.
+ * Empty CSV fields are read as null.
+ * @param {string} text - The file's contents.
+ * @returns {object[]} Rows with the HISTORY_COLUMNS.
+ */
+function parseHistory(text) {
+  if (text.trimStart().startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`The history must be valid JSON: ${error.message}`);
+    }
+  }
+  const [header = [], ...records] = parseCsv(text).filter((fields) => fields.some(Boolean));
+  if (!header.includes('id')) throw new Error('The history must be a JSON or CSV export, the CSV header has no id column.');
+  return records.map((fields) => Object.fromEntries(header.map((column, i) => [column, fields[i] || null])));
+}
+
+// Video statuses an export can have, see the 'video status' migration in database.mjs.
+const HISTORY_STATUSES = ['downloaded', 'queued', 'pending', 'failed', 'skipped', 'pruned'];
+
+/**
+ * Fills the videos table from a history export. Videos that are already known
+ * are left alone. Videos are linked to their channel when it is tracked, so
+ * import the channels first. Videos that were queued or failed are queued again
+ * and the ones waiting for approval wait again, with their channel's formats.
+ * @param {object} db - The database instance.
+ * @param {string} file - The JSON or CSV file from `export history`.
+ */
+async function importHistory(db, file) {
+  const rows = parseHistory(await readFile(file, 'utf8'));
+  if (!Array.isArray(rows)) throw new Error('The history must be a list of videos.');
+  for (const [index, row] of rows.entries()) {
+    if (!row?.id) throw new Error(`Entry ${index + 1} of the history has no id.`);
+    if (!HISTORY_STATUSES.includes(row.status)) {
+      throw new Error(`Entry ${index + 1} of the history has an unknown status: ${row.status}. Expected one of ${HISTORY_STATUSES.join(', ')}.`);
+    }
+  }
+
+  const channelsByUrl = new Map((await db.all('SELECT * FROM channels')).map((channel) => [channel.url, channel]));
+  const findChannel = (url) => {
+    try {
+      return channelsByUrl.get(normalizeChannelUrl(url)) ?? null;
+    } catch {
+      return null;
+    }
+  };
+  // CSV fields are strings, JSON ones numbers already.
+  const toNumber = (value) => (value == null ? null : Number(value));
+  const counts = { imported: 0, known: 0, queued: 0 };
+  const untracked = new Set();
+
+  await db.exec('BEGIN');
+  try {
+    for (const row of rows) {
+      const channel = row.channel_url ? findChannel(row.channel_url) : null;
+      if (row.channel_url && !channel) untracked.add(row.channel_url);
+      const status = row.status === 'failed' ? 'queued' : row.status;
+      const { changes } = await db.run(`
+        INSERT OR IGNORE INTO videos(id, title, channel_id, upload_date, status, downloaded_at, file_path, size, duration, checksum)
+        VALUES(?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?, ?)
+      `, row.id, row.title || row.id, channel?.id ?? null, row.upload_date || null, status, row.downloaded_at || null,
+        row.file_path || null, toNumber(row.size), toNumber(row.duration), row.checksum || null);
+      if (changes === 0) {
+        counts.known++;
+        continue;
+      }
+      counts.imported++;
+      if (status === 'queued' || status === 'pending') {
+        const video = {
+          id: row.id,
+          title: row.title || row.id,
+          channel: channel?.name ?? row.channel_name ?? null,
+          upload_date: row.upload_date || null,
+          webpage_url: row.url || `https://www.youtube.com/watch?v=${row.id}`,
+        };
+        const settings = await resolveChannelSettings(db, channel ?? {});
+        await enqueueJob(db, video, channel?.id ?? null, settings.targetFormats, status);
+        counts.queued++;
+      }
+    }
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+
+  if (untracked.size > 0) {
+    console.log(chalk.yellow(`⚠️ ${untracked.size} channel(s) of the history are not tracked, their videos were imported without a channel. Import the channels first to keep them linked.`));
+  }
+  console.log(chalk.green(`✅ Imported ${counts.imported} video(s), ${counts.known} were already known. ${counts.queued} of them were queued or wait for approval again.`));
+}
+
+/**
+ * Entry point for `shortstash import archive|folder|channels|history <path>`.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The positional arguments after `import`.
+ */
+export async function runImportCommand(db, [source, path]) {
+  const importers = { archive: importArchive, folder: importFolder, channels: importChannels, history: importHistory };
+  if (!importers[source]) throw new Error(`Unknown import source: ${source}. Use archive, folder, channels or history.`);
+  if (!path) throw new Error(`Please provide the ${source === 'folder' ? 'folder' : 'file'} to import.`);
+  if (source !== 'folder' && !existsSync(path)) throw new Error(`No such file: ${path}`);
+  await importers[source](db, path);
+}
+
+/**
+ * Builds an OPML list of every channel. Channels with a /channel/ URL get their
+ * YouTube feed as xmlUrl, so feed readers can subscribe to them too.
+ * @param {object[]} channels - The channel rows.
+ * @returns {string}
+ */
+function renderOpml(channels) {
+  const outlines = channels.map((channel) => {
+    const name = escapeXml(channel.name || channel.url);
+    const channelId = /\/channel\/(UC[\w-]+)$/.exec(channel.url)?.[1];
+    const feed = channelId ? ` type="rss" xmlUrl="https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}"` : '';
+    return `    <outline text="${name}" title="${name}"${feed} htmlUrl="${escapeXml(channel.url)}"/>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>ShortStash channels</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${outlines.join('\n')}
+  </body>
+</opml>
+`;
+}
+
+/**
+ * Builds a JSON channel list that `import channels` reads back, with the name,
+ * paused state and every setting the channels override.
+ * @param {object[]} channels - The channel rows.
+ * @returns {string}
+ */
+function renderChannelJson(channels) {
+  const entries = channels.map((channel) => {
+    const settings = Object.keys(CHANNEL_SETTINGS)
+      .filter((key) => channel[key] !== null && channel[key] !== undefined)
+      // filter_rules is stored as JSON text, export it as JSON.
+      .map((key) => [key, key === 'filter_rules' ? JSON.parse(channel[key]) : channel[key]]);
+    return {
+      url: channel.url,
+      name: channel.name,
+      ...(channel.is_active ? {} : { paused: true }),
+      ...Object.fromEntries(settings),
+    };
+  });
+  return `${JSON.stringify({ channels: entries }, null, 2)}\n`;
+}
+
+function toCsvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Returns every video ShortStash knows about, downloaded or not, oldest first.
+ * @param {object} db - The database instance.
+ * @returns {Promise<object[]>} Rows with the HISTORY_COLUMNS.
+ */
+async function loadHistory(db) {
+  const rows = await db.all(`
+    SELECT v.id, v.title, c.name AS channel_name, c.url AS channel_url, v.upload_date, v.status,
+      v.downloaded_at, v.file_path, v.size, v.duration, v.checksum
+    FROM videos v
+    LEFT JOIN channels c ON c.id = v.channel_id
+    ORDER BY v.downloaded_at, v.id
+  `);
+  return rows.map((row) => ({ ...row, url: `https://www.youtube.com/watch?v=${row.id}` }));
+}
+
+/**
+ * Entry point for `shortstash export channels [opml|json] [file]` and
+ * `shortstash export history csv|json [file]`. Without a file it prints to stdout.
+ * The channel format defaults to json for a .json file and to opml otherwise.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The positional arguments after `export`.
+ */
+export async function runExportCommand(db, [what, ...rest]) {
+  let content;
+  let file;
+  let count;
+  if (what === 'channels') {
+    const format = ['opml', 'json'].includes(rest[0]) ? rest.shift() : (/\.json$/i.test(rest[0] ?? '') ? 'json' : 'opml');
+    [file] = rest;
+    const channels = await db.all('SELECT * FROM channels ORDER BY id');
+    content = format === 'json' ? renderChannelJson(channels) : renderOpml(channels);
+    count = `${channels.length} channel(s)`;
+  } else if (what === 'history') {
+    const [format] = rest;
+    [, file] = rest;
+    const rows = await loadHistory(db);
+    if (format === 'json') {
+      content = `${JSON.stringify(rows, null, 2)}\n`;
+    } else if (format === 'csv') {
+      const lines = [HISTORY_COLUMNS, ...rows.map((row) => HISTORY_COLUMNS.map((column) => row[column]))];
+      content = `${lines.map((line) => line.map(toCsvField).join(',')).join('\r\n')}\r\n`;
+    } else {
+      throw new Error(`Unknown history format: ${format}. Use csv or json.`);
+    }
+    count = `${rows.length} video(s)`;
+  } else {
+    throw new Error(`Unknown export: ${what}. Use channels or history.`);
+  }
+
+  if (!file) {
+    process.stdout.write(content);
+    return;
+  }
+  await writeFile(file, content);
+  console.log(chalk.green(`✅ Exported ${count} to ${file}`));
+}
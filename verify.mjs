@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Checks that the archive on disk matches the database.
+ * Every recorded file is probed with ffprobe: it must have the streams its preset
+ * makes and roughly the length yt-dlp reported. The main file of each video is also
+ * compared against the checksum taken when it was made. Media files in the output
+ * folders that no video knows about are reported as orphans.
+ */
+
+import { createHash } from 'crypto';
+import { createReadStream, existsSync } from 'fs';
+import { readdir, readFile, stat, unlink } from 'fs/promises';
+import { basename, dirname, extname, join } from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+
+import { runCommand } from './exec.mjs';
+import { FORMAT_PRESETS, MIME_TYPES } from './formats.mjs';
+import { requeueJob } from './jobs.mjs';
+import { getChannelDir, resolveStoredPath, toStoredPath } from './paths.mjs';
+
+// A file may be a little shorter or longer than yt-dlp says, e.g. after
+// converting the frame rate. Anything beyond this counts as truncated.
+const DURATION_TOLERANCE = { seconds: 2, ratio: 0.05 };
+
+/**
+ * Reads the length and stream types of a media file.
+ * @param {string} file - The absolute path.
+ * @returns {Promise<{duration: number|null, streams: string[], tags: object}>}
+ */
+async function probeFile(file) {
+  const args = ['-v', 'error', '-show_entries', 'format=duration:format_tags:stream=codec_type', '-of', 'json', file];
+  const { format = {}, streams = [] } = JSON.parse(await runCommand('ffprobe', args));
+  return {
+    duration: format.duration ? Number(format.duration) : null,
+    streams: streams.map((stream) => stream.codec_type),
+    tags: format.tags ?? {},
+  };
+}
+
+/**
+ * Computes the SHA-256 checksum of a file.
+ * @param {string} file - The absolute path.
+ * @returns {Promise<string>} The checksum as hex.
+ */
+export function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(file)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Checks that a file is a playable rendition: not empty, readable by ffprobe, with
+ * the streams its preset makes and about the expected length.
+ * @param {string} file - The absolute path.
+ * @param {object} expected
+ * @param {string} [expected.type] - The preset type, 'video' or 'audio'.
+ * @param {number|null} [expected.duration] - The length yt-dlp reported, in seconds.
+ * @returns {Promise<{size: number, duration: number|null, problem: string|null}>}
+ */
+export async function inspectMediaFile(file, { type, duration }) {
+  if (!existsSync(file)) return { size: 0, duration: null, problem: 'the file is missing' };
+  const { size } = await stat(file);
+  if (size === 0) return { size, duration: null, problem: 'the file is empty' };
+
+  let probe;
+  try {
+    probe = await probeFile(file);
+  } catch (error) {
+    return { size, duration: null, problem: `ffprobe can't read it (${error.message.split('\n').pop()})` };
+  }
+
+  let problem = null;
+  if (!probe.streams.includes('audio')) {
+    problem = 'it has no audio stream';
+  } else if (type === 'video' && !probe.streams.includes('video')) {
+    problem = 'it has no video stream';
+  } else if (duration && probe.duration !== null
+    && Math.abs(probe.duration - duration) > Math.max(DURATION_TOLERANCE.seconds, duration * DURATION_TOLERANCE.ratio)) {
+    problem = `it is ${Math.round(probe.duration)}s long instead of ${Math.round(duration)}s`;
+  }
+  return { size, duration: probe.duration, problem };
+}
+
+/**
+ * Lists every file the database knows about: the renditions of downloaded videos,
+ * plus main files recorded before renditions were.
+ * @param {object} db - The database instance.
+ * @returns {Promise<object[]>}
+ */
+async function loadRecordedFiles(db) {
+  return db.all(`
+    SELECT f.video_id, f.preset, f.file_path, v.title, v.channel_id, v.upload_date, v.checksum,
+      v.file_path = f.file_path AS is_main, v.duration AS recorded_duration, j.video_info
+    FROM (
+      SELECT video_id, preset, file_path FROM renditions
+      UNION SELECT id, NULL, file_path FROM videos
+        WHERE file_path IS NOT NULL AND file_path NOT IN (SELECT file_path FROM renditions)
+    ) f
+    JOIN videos v ON v.id = f.video_id
+    LEFT JOIN jobs j ON j.video_id = v.id
+    WHERE v.status = 'downloaded'
+    ORDER BY v.channel_id, v.upload_date, f.file_path
+  `);
+}
+
+/**
+ * Lists the media files in folders. By default only the files directly in them,
+ * as the output folder can be the ShortStash folder itself. Hidden files and
+ * folders, such as .sources, and the temp_* files of downloads in progress are left out.
+ * @param {string[]} folders - The absolute folder paths.
+ * @param {object} [options]
+ * @param {boolean} [options.recursive] - Whether to search the subfolders too.
+ * @returns {Promise<string[]>}
+ */
+export async function findMediaFiles(folders, { recursive = false } = {}) {
+  const files = [];
+  const visited = new Set();
+  const walk = async (folder) => {
+    if (visited.has(folder)) return;
+    visited.add(folder);
+    let entries;
+    try {
+      entries = await readdir(folder, { withFileTypes: true });
+    } catch {
+      return; // The folder was never created or has been deleted.
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name.startsWith('temp_')) continue;
+      const path = join(folder, entry.name);
+      if (entry.isDirectory() && recursive) {
+        await walk(path);
+      } else if (entry.isFile() && MIME_TYPES[extname(entry.name).slice(1).toLowerCase()]) {
+        files.push(path);
+      }
+    }
+  };
+  for (const folder of folders) await walk(folder);
+  return files;
+}
+
+/**
+ * Checks every recorded file and looks for orphans. Files that pass are used to
+ * fill in the size, duration and checksum of videos downloaded before they were recorded.
+ * @param {object} db - The database instance.
+ * @returns {Promise<{checked: number, missing: object[], corrupt: object[], orphans: string[]}>}
+ */
+export async function verifyLibrary(db) {
+  const recorded = await loadRecordedFiles(db);
+  const report = { checked: recorded.length, missing: [], corrupt: [], orphans: [] };
+
+  for (const file of recorded) {
+    const filePath = resolveStoredPath(file.file_path);
+    if (!filePath || !existsSync(filePath)) {
+      report.missing.push(file);
+      continue;
+    }
+
+    const info = file.video_info ? JSON.parse(file.video_info) : {};
+    const preset = FORMAT_PRESETS[file.preset];
+    const result = await inspectMediaFile(filePath, {
+      type: preset?.type,
+      duration: info.duration ?? file.recorded_duration,
+    });
+    let { problem } = result;
+    if (!problem && file.is_main) {
+      const checksum = await hashFile(filePath);
+      if (file.checksum && file.checksum !== checksum) {
+        problem = 'its checksum changed since it was downloaded';
+      } else if (!file.checksum) {
+        await db.run('UPDATE videos SET size = ?, duration = ?, checksum = ? WHERE id = ?',
+          result.size, result.duration, checksum, file.video_id);
+      }
+    }
+    if (problem) report.corrupt.push({ ...file, problem });
+  }
+
+  // Orphans can only be in the folders downloads went to: the channel folders,
+  // and the exact folders of recorded files for custom OUTPUT_TEMPLATEs.
+  const channels = await db.all('SELECT name FROM channels WHERE name IS NOT NULL');
+  const folders = [
+    ...channels.map((channel) => getChannelDir(channel.name)),
+    ...recorded.map((file) => resolveStoredPath(file.file_path)).filter(Boolean).map((path) => dirname(path)),
+  ];
+  const known = new Set(recorded.map((file) => file.file_path));
+  const allPaths = await db.all('SELECT file_path FROM renditions UNION SELECT file_path FROM videos WHERE file_path IS NOT NULL');
+  allPaths.forEach((row) => known.add(row.file_path));
+  for (const path of await findMediaFiles(folders)) {
+    if (!known.has(toStoredPath(path))) report.orphans.push(path);
+  }
+  return report;
+}
+
+/**
+ * Queues the videos with missing or broken files again, for just those presets.
+ * Main files recorded before renditions were are made with the channel's first format.
+ * @param {object} db - The database instance.
+ * @param {object[]} files - The missing and corrupt entries of the report.
+ * @returns {Promise<number>} The number of videos queued.
+ */
+async function requeueFiles(db, files) {
+  const byVideo = new Map();
+  for (const file of files) {
+    if (!byVideo.has(file.video_id)) byVideo.set(file.video_id, { file, presets: new Set() });
+    if (file.preset) byVideo.get(file.video_id).presets.add(file.preset);
+  }
+
+  let queued = 0;
+  for (const { file, presets } of byVideo.values()) {
+    const channel = file.channel_id ? await db.get('SELECT * FROM channels WHERE id = ?', file.channel_id) : null;
+    const videoInfo = file.video_info ? JSON.parse(file.video_info) : {
+      id: file.video_id,
+      title: file.title,
+      channel: channel?.name,
+      upload_date: file.upload_date,
+      webpage_url: `https://www.youtube.com/watch?v=${file.video_id}`,
+    };
+    if (presets.size === 0) {
+      const job = await db.get('SELECT target_format FROM jobs WHERE video_id = ?', file.video_id);
+      presets.add((job?.target_format ?? channel?.target_format ?? Object.keys(FORMAT_PRESETS)[0]).split(',')[0]);
+    }
+    await requeueJob(db, videoInfo, file.channel_id, [...presets]);
+    queued++;
+  }
+  return queued;
+}
+
+/**
+ * Works out which video a media file is: from its info.json sidecar, from the
+ * URL ShortStash embeds as a comment tag, or from an id in brackets in its name.
+ * @param {string} file - The absolute path.
+ * @returns {Promise<{id: string, title: string, channel: string|null, upload_date: string|null}|null>}
+ */
+export async function identifyMediaFile(file) {
+  const infoFile = `${file.slice(0, -extname(file).length)}.info.json`;
+  if (existsSync(infoFile)) {
+    try {
+      const info = JSON.parse(await readFile(infoFile, 'utf8'));
+      return { id: info.id, title: info.title, channel: info.channel ?? null, upload_date: info.upload_date ?? null };
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Can't read ${toStoredPath(infoFile)}, ignoring it: ${error.message}`));
+      return null;
+    }
+  }
+
+  const tags = await probeFile(file).then((probe) => probe.tags, () => ({}));
+  const url = tags.comment ?? tags.COMMENT ?? '';
+  const id = /[?&]v=([\w-]{11})/.exec(url)?.[1] ?? /\[([\w-]{11})\]/.exec(basename(file))?.[1];
+  if (!id) return null;
+  return {
+    id,
+    title: tags.title ?? tags.TITLE ?? basename(file, extname(file)).replace(/\s*\[[\w-]{11}\]$/, ''),
+    channel: tags.artist ?? tags.ARTIST ?? null,
+    upload_date: null,
+  };
+}
+
+/**
+ * Records a media file in the output folder as the download of a video.
+ * @param {object} db - The database instance.
+ * @param {string} file - The absolute path.
+ * @param {{id: string, title: string, channel: string|null, upload_date: string|null}} video - The video it is.
+ * @param {number|null} [channelId] - Its channel, by default the tracked channel named video.channel.
+ * @returns {Promise<string>} The preset the file was recorded as.
+ */
+export async function recordMediaFile(db, file, video, channelId) {
+  const extension = extname(file).slice(1).toLowerCase();
+  // Name the rendition after the first preset that makes this kind of file.
+  const preset = Object.keys(FORMAT_PRESETS).find((name) => FORMAT_PRESETS[name].extension === extension) ?? extension;
+  if (channelId === undefined) {
+    const channel = video.channel ? await db.get('SELECT id FROM channels WHERE name = ?', video.channel) : null;
+    channelId = channel?.id ?? null;
+  }
+  const { size, duration } = await inspectMediaFile(file, {});
+  const storedPath = toStoredPath(file);
+
+  // Videos imported from a yt-dlp archive only have their id as the title.
+  await db.run(`
+    INSERT INTO videos(id, title, channel_id, upload_date, status, file_path, size, duration, checksum)
+    VALUES(?, ?, ?, ?, 'downloaded', ?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET status = 'downloaded', file_path = COALESCE(file_path, excluded.file_path),
+      channel_id = COALESCE(channel_id, excluded.channel_id), size = COALESCE(size, excluded.size),
+      duration = COALESCE(duration, excluded.duration), checksum = COALESCE(checksum, excluded.checksum),
+      title = CASE WHEN title = id THEN excluded.title ELSE title END
+  `, video.id, video.title, channelId, video.upload_date, storedPath, size, duration, await hashFile(file));
+  await db.run(`
+    INSERT INTO renditions(video_id, preset, file_path) VALUES(?, ?, ?)
+    ON CONFLICT (video_id, preset) DO UPDATE SET file_path = excluded.file_path
+  `, video.id, preset, storedPath);
+  return preset;
+}
+
+/**
+ * Records orphaned files as downloads of the videos they belong to.
+ * @param {object} db - The database instance.
+ * @param {string[]} orphans - The absolute paths.
+ * @returns {Promise<number>} The number of files imported.
+ */
+async function importOrphans(db, orphans) {
+  let imported = 0;
+  for (const file of orphans) {
+    const video = await identifyMediaFile(file);
+    if (!video) {
+      console.log(chalk.yellow(`⚠️ Can't tell which video ${toStoredPath(file)} is, left as it is.`));
+      continue;
+    }
+    const preset = await recordMediaFile(db, file, video);
+    console.log(chalk.green(`✔ Imported ${toStoredPath(file)} as "${video.title}" (${video.id}, ${preset})`));
+    imported++;
+  }
+  return imported;
+}
+
+/**
+ * Entry point for `shortstash verify [requeue] [import-orphans | remove-orphans]`.
+ * Without options it only reports what it found.
+ * @param {object} db - The database instance.
+ * @param {string[]} args - The positional arguments after `verify`.
+ */
+export async function runVerifyCommand(db, args) {
+  const options = ['requeue', 'import-orphans', 'remove-orphans'];
+  const unknown = args.find((arg) => !options.includes(arg));
+  if (unknown) throw new Error(`Unknown verify option: ${unknown}. Use ${options.join(', ')}.`);
+  if (args.includes('import-orphans') && args.includes('remove-orphans')) {
+    throw new Error('Orphans can either be imported or removed, not both.');
+  }
+
+  console.log(chalk.cyan('Checking every downloaded file, this can take a while...'));
+  const report = await verifyLibrary(db);
+
+  for (const file of report.missing) {
+    console.log(`${chalk.red('[missing]'.padEnd(11))} ${file.file_path} ${chalk.grey(`(${file.video_id})`)}`);
+  }
+  for (const file of report.corrupt) {
+    console.log(`${chalk.red('[corrupt]'.padEnd(11))} ${file.file_path} ${chalk.grey(`(${file.video_id}): ${file.problem}`)}`);
+  }
+  for (const file of report.orphans) {
+    console.log(`${chalk.yellow('[orphan]'.padEnd(11))} ${toStoredPath(file)}`);
+  }
+
+  const healthy = report.checked - report.missing.length - report.corrupt.length;
+  console.log(chalk.cyan(`\nChecked ${report.checked} file(s): ${healthy} ok, ${report.missing.length} missing, ${report.corrupt.length} corrupt, ${report.orphans.length} orphan(s).`));
+
+  const broken = [...report.missing, ...report.corrupt];
+  if (args.includes('requeue') && broken.length > 0) {
+    const queued = await requeueFiles(db, broken);
+    console.log(chalk.green(`✅ Re-queued ${queued} video(s). They will be downloaded on the next run.`));
+  } else if (broken.length > 0) {
+    console.log(chalk.grey('Use `shortstash verify requeue` to download the missing and corrupt files again.'));
+  }
+
+  if (args.includes('import-orphans') && report.orphans.length > 0) {
+    const imported = await importOrphans(db, report.orphans);
+    console.log(chalk.green(`✅ Imported ${imported} orphaned file(s).`));
+  } else if (args.includes('remove-orphans') && report.orphans.length > 0) {
+    if (!process.stdin.isTTY) {
+      console.log(chalk.yellow('Removing orphans has to be confirmed, run `shortstash verify remove-orphans` on a terminal. Nothing was removed.'));
+      return;
+    }
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Delete the ${report.orphans.length} orphaned file(s) listed above? This can't be undone.`,
+        default: false,
+      },
+    ]);
+    if (!confirmed) {
+      console.log(chalk.grey('Nothing was removed.'));
+      return;
+    }
+    for (const file of report.orphans) {
+      await unlink(file);
+      console.log(chalk.grey(`Removed ${toStoredPath(file)}`));
+    }
+    console.log(chalk.green(`✅ Removed ${report.orphans.length} orphaned file(s).`));
+  } else if (report.orphans.length > 0) {
+    console.log(chalk.grey('Use `shortstash verify import-orphans` or `verify remove-orphans` to deal with the orphans.'));
+  }
+}